@@ -0,0 +1,17 @@
+// api/_core.js
+// Shared setup for the Vercel functions: the same handler core as the Express server
+// (server/core), backed by Supabase. Files starting with "_" are not deployed as routes.
+//
+// Env: SUPABASE_URL, SUPABASE_SERVICE_KEY, API_KEY (or INGEST_API_KEY), and the
+// carbon-intensity settings documented in server/core/carbon_intensity.js.
+import core from '../server/core/index.js';
+import storage from '../server/storage/index.js';
+
+// Created on first use so /api/carbon-intensity works without database credentials
+let repo = null;
+
+export const handlers = core.createHandlers({
+  repository: () => repo || (repo = storage.supabaseFromEnv())
+});
+
+export const { toVercel } = core;
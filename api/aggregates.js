@@ -0,0 +1,5 @@
+// api/aggregates.js
+// GET /api/aggregates?groupBy=day|hour|week|month|origin plus the /api/visits filters
+import { handlers, toVercel } from './_core.js';
+
+export default toVercel(handlers.aggregates, ['GET']);
@@ -0,0 +1,5 @@
+// api/carbon-intensity/providers.js
+// GET /api/carbon-intensity/providers — provider chain health (same as Express)
+import { handlers, toVercel } from '../_core.js';
+
+export default toVercel(handlers.carbonIntensityProviders, ['GET']);
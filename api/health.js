@@ -0,0 +1,5 @@
+// api/health.js
+// GET /api/health — lets the options page verify the server URL and API key
+import { handlers, toVercel } from './_core.js';
+
+export default toVercel(handlers.health, ['GET']);
@@ -0,0 +1,14 @@
+// api/visits.js
+// GET  /api/visits?from&to&origin&minBytes&q&limit&cursor  (same as GET /visits on Express)
+// DELETE /api/visits?id=...  or with filters                (same as DELETE /visits[/:id])
+import { handlers, toVercel } from './_core.js';
+
+const get = toVercel(handlers.visits);
+const del = toVercel(handlers.deleteVisits);
+
+export default function handler(req, res) {
+  if (req.method === 'GET') return get(req, res);
+  if (req.method === 'DELETE') return del(req, res);
+  res.setHeader('Allow', 'GET, DELETE');
+  return res.status(405).json({ error: 'method not allowed' });
+}
@@ -0,0 +1,318 @@
+// audit_rules.js
+// Registry of page audits. Each rule looks at a visit and returns a finding with the bytes
+// fixing it would save, or null. 'page' rules run in the content script on the DOM and the
+// session's resource entries; 'network' rules run in the service worker on the tab's
+// completed requests, whose response headers the page can't see. The service worker prices
+// the savings in grams with the visit's own emissions settings.
+//
+// A finding: { code, title, scope, severity, message, count, savingsBytes }
+//            (+ savingsCO2_g, added by the service worker)
+
+(function (root) {
+  const RULES = [];
+
+  // page findings smaller than this are noise
+  const MIN_SAVINGS_BYTES = 10 * 1024;
+
+  /**
+   * Adds (or replaces, by code) a rule:
+   *   { code, title, scope: 'page' | 'network', severity: 0..1, check(ctx) }
+   * check returns null or { message, count, savingsBytes, severity? }.
+   */
+  function register(rule) {
+    if (!rule || !rule.code || typeof rule.check !== 'function') {
+      throw new Error('Audit rules need a code and a check function');
+    }
+    const r = Object.assign({ scope: 'page', severity: 0.5, minSavings: 0 }, rule);
+    const i = RULES.findIndex(x => x.code === r.code);
+    if (i >= 0) RULES[i] = r; else RULES.push(r);
+  }
+
+  // Runs every rule of `scope`; findings sorted by savings, then severity.
+  function run(scope, ctx) {
+    const out = [];
+    RULES.filter(r => r.scope === scope).forEach(r => {
+      let f = null;
+      try {
+        f = r.check(ctx);
+      } catch (e) {
+        console.warn(`audit rule ${r.code} failed`, e);
+      }
+      if (!f) return;
+      const savingsBytes = Math.max(0, Math.round(Number(f.savingsBytes) || 0));
+      if (r.minSavings && savingsBytes < r.minSavings) return;
+      out.push({
+        code: r.code,
+        title: r.title,
+        scope,
+        severity: f.severity ?? r.severity,
+        message: f.message,
+        count: f.count || 1,
+        savingsBytes
+      });
+    });
+    return out.sort((a, b) => b.savingsBytes - a.savingsBytes || b.severity - a.severity);
+  }
+
+  function list() {
+    return RULES.map(({ code, title, scope, severity }) => ({ code, title, scope, severity }));
+  }
+
+  // ---------- helpers ----------
+  const KB = 1024;
+  const kb = (bytes) => `${Math.round(bytes / KB)} KB`;
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+  function bytesByUrl(resources) {
+    const m = new Map();
+    (resources || []).forEach(r => { if (r.bytes) m.set(r.url, (m.get(r.url) || 0) + r.bytes); });
+    return m;
+  }
+
+  function fileOf(url) {
+    try { return new URL(url).pathname.split('/').pop().toLowerCase(); } catch (e) { return ''; }
+  }
+
+  // ---------- page rules ----------
+  // ctx: { totals, resources: [{ url, type, bytes, encodedBodySize, decodedBodySize, contentType }],
+  //        document, window, maxScrollY }
+
+  register({
+    code: 'autoplay_video',
+    title: 'Autoplaying video',
+    severity: 0.9,
+    check({ document: doc, totals }) {
+      const vids = Array.from(doc.querySelectorAll('video'));
+      if (!vids.some(v => v.autoplay || (!v.paused && !v.ended))) return null;
+      return {
+        message: 'Autoplaying video detected — consider disabling autoplay or pausing when not watched.',
+        count: vids.length,
+        savingsBytes: (totals.media && totals.media.bytes) || 0
+      };
+    }
+  });
+
+  const PAGE_WEIGHT_BUDGET = 5_000_000;
+  register({
+    code: 'page_weight',
+    title: 'Heavy page',
+    severity: 0.8,
+    check({ totals }) {
+      if ((totals.transferBytes || 0) <= PAGE_WEIGHT_BUDGET) return null;
+      return {
+        message: 'This page is heavy (>5MB). Optimize large images and assets.',
+        savingsBytes: totals.transferBytes - PAGE_WEIGHT_BUDGET
+      };
+    }
+  });
+
+  register({
+    code: 'too_many_resources',
+    title: 'Many requests',
+    severity: 0.6,
+    check({ totals }) {
+      if ((totals.resourceCount || 0) <= 150) return null;
+      return {
+        message: 'Many resources loaded — consider reducing third-party scripts or bundling.',
+        count: totals.resourceCount
+      };
+    }
+  });
+
+  register({
+    code: 'long_tasks',
+    title: 'Long JavaScript tasks',
+    severity: 0.7,
+    check({ totals }) {
+      if ((totals.longTasks || 0) <= 3) return null;
+      return {
+        message: 'Long JavaScript tasks detected — reduce heavy synchronous work.',
+        count: totals.longTasks
+      };
+    }
+  });
+
+  // Image bytes grow roughly with pixel count, so an image with twice the pixels it is shown
+  // at wastes about half its bytes.
+  register({
+    code: 'oversized_images',
+    title: 'Images larger than displayed',
+    severity: 0.7,
+    minSavings: MIN_SAVINGS_BYTES,
+    check({ document: doc, window: win, resources }) {
+      const dpr = win.devicePixelRatio || 1;
+      const sizes = bytesByUrl(resources);
+      let count = 0, savings = 0;
+      doc.querySelectorAll('img').forEach(img => {
+        if (!img.complete || !img.naturalWidth || !img.clientWidth || !img.clientHeight) return;
+        const shown = img.clientWidth * dpr * img.clientHeight * dpr;
+        const natural = img.naturalWidth * img.naturalHeight;
+        const bytes = sizes.get(img.currentSrc || img.src) || 0;
+        if (!bytes || natural < shown * 2) return;
+        count += 1;
+        savings += bytes * (1 - shown / natural);
+      });
+      if (!count) return null;
+      return { message: `Serve resized or responsive images (srcset): ${plural(count, 'image')} with at least twice the pixels shown.`, count, savingsBytes: savings };
+    }
+  });
+
+  // typical size reduction when re-encoded as WebP/AVIF (animated GIF as video)
+  const LEGACY_IMAGE_SAVINGS = { jpeg: 0.3, png: 0.3, gif: 0.6, bmp: 0.9 };
+  function legacyFormat(r) {
+    const mime = String(r.contentType || '').toLowerCase();
+    const m = mime.match(/^image\/(jpeg|png|gif|bmp)/) || r.url.match(/\.(jpe?g|png|gif|bmp)(\?|#|$)/i);
+    if (!m) return null;
+    const f = m[1].toLowerCase();
+    return f === 'jpg' ? 'jpeg' : f;
+  }
+  register({
+    code: 'legacy_image_formats',
+    title: 'Legacy image formats',
+    severity: 0.5,
+    minSavings: MIN_SAVINGS_BYTES,
+    check({ resources }) {
+      let count = 0, savings = 0;
+      resources.forEach(r => {
+        const f = r.type === 'image' && r.bytes ? legacyFormat(r) : null;
+        if (!f) return;
+        count += 1;
+        savings += r.bytes * LEGACY_IMAGE_SAVINGS[f];
+      });
+      if (!count) return null;
+      return { message: `Serve WebP or AVIF: ${plural(count, 'image')} in JPEG/PNG/GIF.`, count, savingsBytes: savings };
+    }
+  });
+
+  // encoded == decoded body means no Content-Encoding; gzip/brotli save ~70% on text.
+  // Below about one packet compression isn't worth it.
+  const TEXT_TYPES = ['script', 'css', 'document', 'xhr'];
+  const TEXT_RE = /\.(html?|json|svg|txt|xml|m?js|css)(\?|#|$)/i;
+  register({
+    code: 'uncompressed_text',
+    title: 'Uncompressed text',
+    severity: 0.6,
+    minSavings: MIN_SAVINGS_BYTES,
+    check({ resources }) {
+      let count = 0, savings = 0;
+      resources.forEach(r => {
+        if (!TEXT_TYPES.includes(r.type) && !TEXT_RE.test(r.url)) return;
+        if (!r.bytes || !r.encodedBodySize || r.encodedBodySize !== r.decodedBodySize || r.decodedBodySize < 1400) return;
+        count += 1;
+        savings += r.encodedBodySize * 0.7;
+      });
+      if (!count) return null;
+      return { message: `Enable gzip or brotli: ${plural(count, 'text resource')} sent uncompressed.`, count, savingsBytes: savings };
+    }
+  });
+
+  // non-WOFF2 files shrink ~30% when converted; beyond the budget, subsetting or fewer
+  // weights/styles are needed
+  const FONT_BUDGET_BYTES = 100 * KB;
+  register({
+    code: 'heavy_web_fonts',
+    title: 'Heavy web fonts',
+    severity: 0.4,
+    minSavings: MIN_SAVINGS_BYTES,
+    check({ resources }) {
+      const fonts = resources.filter(r => r.type === 'font' && r.bytes);
+      const total = fonts.reduce((s, r) => s + r.bytes, 0);
+      const legacy = fonts.filter(r => !/\.woff2(\?|#|$)/i.test(r.url));
+      if (total <= FONT_BUDGET_BYTES && !legacy.length) return null;
+      const converted = fonts.reduce((s, r) => s + (legacy.includes(r) ? r.bytes * 0.7 : r.bytes), 0);
+      const parts = [`${plural(fonts.length, 'font file')}, ${kb(total)}`];
+      if (legacy.length) parts.push(`${legacy.length} not WOFF2`);
+      return {
+        message: `${parts.join(', ')} — subset fonts, drop unused weights and serve WOFF2.`,
+        count: fonts.length,
+        savingsBytes: total - Math.min(converted, FONT_BUDGET_BYTES)
+      };
+    }
+  });
+
+  // "jquery-3.6.0.min.js", "jquery.min.js?v=2" and ".../npm/jquery@3/dist/jquery.js" are the
+  // same library; bundler output names (main.3f2a1c.js) are too generic to compare.
+  const GENERIC_SCRIPTS = ['index', 'main', 'app', 'bundle', 'chunk', 'vendor', 'vendors', 'runtime', 'polyfills', 'common', 'script', 'scripts'];
+  function libraryKey(url) {
+    const key = fileOf(url)
+      .replace(/\.m?js$/, '')
+      .replace(/\.min$/, '')
+      .replace(/[.-][0-9a-f]{8,}$/, '')
+      .replace(/[-.@_]?v?\d+(\.\d+)+$/, '')
+      .replace(/\.min$/, '');
+    return key.length >= 3 && !GENERIC_SCRIPTS.includes(key) ? key : null;
+  }
+  register({
+    code: 'duplicate_libraries',
+    title: 'Duplicate script libraries',
+    severity: 0.6,
+    minSavings: MIN_SAVINGS_BYTES,
+    check({ resources }) {
+      const groups = new Map();
+      resources.forEach(r => {
+        const key = r.type === 'script' && r.bytes ? libraryKey(r.url) : null;
+        if (key) groups.set(key, (groups.get(key) || []).concat(r));
+      });
+      const dupes = [];
+      let savings = 0;
+      groups.forEach((list, key) => {
+        if (list.length < 2) return;
+        dupes.push(key);
+        savings += list.reduce((s, r) => s + r.bytes, 0) - Math.max(...list.map(r => r.bytes));
+      });
+      if (!dupes.length) return null;
+      return { message: `Loaded more than once: ${dupes.slice(0, 5).join(', ')} — load one copy.`, count: dupes.length, savingsBytes: savings };
+    }
+  });
+
+  // Images never scrolled near (1.5 screens below the furthest scroll) would not have loaded
+  // with loading="lazy".
+  register({
+    code: 'offscreen_images',
+    title: 'Offscreen images not lazy-loaded',
+    severity: 0.5,
+    minSavings: MIN_SAVINGS_BYTES,
+    check({ document: doc, window: win, resources, maxScrollY }) {
+      const sizes = bytesByUrl(resources);
+      const reach = (maxScrollY || 0) + win.innerHeight * 2.5;
+      let count = 0, savings = 0;
+      doc.querySelectorAll('img').forEach(img => {
+        if (img.loading === 'lazy' || !img.complete) return;
+        const top = img.getBoundingClientRect().top + (win.scrollY || 0);
+        const bytes = sizes.get(img.currentSrc || img.src) || 0;
+        if (top <= reach || !bytes) return;
+        count += 1;
+        savings += bytes;
+      });
+      if (!count) return null;
+      return { message: `Add loading="lazy": ${plural(count, 'image')} far below what was viewed loaded anyway.`, count, savingsBytes: savings };
+    }
+  });
+
+  // ---------- network rules ----------
+  // ctx: { requests: [{ url, type, bytes, cacheControl, expires }] } for static assets
+  // (image, script, stylesheet, font) that came from the network.
+
+  function uncacheable(req) {
+    const cc = String(req.cacheControl || '').toLowerCase();
+    if (/no-store|no-cache|max-age=0\b/.test(cc)) return true;
+    return !cc && !req.expires;
+  }
+  register({
+    code: 'uncached_static_assets',
+    title: 'Static assets without caching',
+    scope: 'network',
+    severity: 0.5,
+    check({ requests }) {
+      const hits = (requests || []).filter(uncacheable);
+      if (!hits.length) return null;
+      return {
+        message: 'Static assets are sent with no-store/no-cache or no cache headers, so repeat visits download them again.',
+        count: hits.length,
+        savingsBytes: hits.reduce((s, r) => s + (Number(r.bytes) || 0), 0)
+      };
+    }
+  });
+
+  root.GreenAudit = { register, run, list, MIN_SAVINGS_BYTES };
+})(typeof self !== 'undefined' ? self : this);
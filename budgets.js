@@ -0,0 +1,121 @@
+// budgets.js
+// CO2 / data budgets shared by the service worker (importScripts), popup, dashboard and options.
+// A budget is { scope: 'global' | <origin>, period: 'daily'|'weekly'|'monthly', metric: 'co2_g'|'data_mb', limit }.
+// Periods are UTC calendar periods so they line up with aggregates.byDay.
+
+(function (root) {
+  const PERIODS = ['daily', 'weekly', 'monthly'];
+  const METRICS = {
+    co2_g: { label: 'g CO₂', fromTotals: t => Number(t.co2 || 0), digits: 3 },
+    data_mb: { label: 'MB', fromTotals: t => Number(t.bytes || 0) / 1e6, digits: 1 }
+  };
+  const DAY_MS = 24 * 3600 * 1000;
+  const MAX_STREAK_DAYS = 365;
+
+  function validate(b) {
+    if (!b || typeof b !== 'object') return 'budget must be an object';
+    if (!b.scope || typeof b.scope !== 'string') return 'scope must be "global" or an origin';
+    if (!PERIODS.includes(b.period)) return `period must be one of ${PERIODS.join(', ')}`;
+    if (!METRICS[b.metric]) return `metric must be one of ${Object.keys(METRICS).join(', ')}`;
+    if (!(Number(b.limit) > 0)) return 'limit must be a positive number';
+    return null;
+  }
+
+  // Drops invalid entries and normalizes scope casing.
+  function normalize(list) {
+    return (Array.isArray(list) ? list : [])
+      .filter(b => !validate(b))
+      .map(b => ({
+        scope: b.scope.trim().toLowerCase() === 'global' ? 'global' : b.scope.trim().toLowerCase(),
+        period: b.period,
+        metric: b.metric,
+        limit: Number(b.limit)
+      }));
+  }
+
+  function utcMidnight(d) {
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  }
+
+  // Start of the current period (weeks start on Monday) as an ISO string.
+  function periodStart(period, now = new Date()) {
+    const midnight = utcMidnight(now);
+    if (period === 'weekly') return new Date(midnight - ((now.getUTCDay() + 6) % 7) * DAY_MS).toISOString();
+    if (period === 'monthly') return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+    return new Date(midnight).toISOString();
+  }
+
+  // totals: { co2, bytes } for the current period.
+  function progress(b, totals) {
+    const used = METRICS[b.metric].fromTotals(totals || {});
+    return Object.assign({}, b, {
+      used,
+      remaining: Math.max(0, b.limit - used),
+      pct: b.limit > 0 ? (used / b.limit) * 100 : 0,
+      over: used > b.limit
+    });
+  }
+
+  /**
+   * Consecutive days under a daily budget, ending today (if still under) or yesterday.
+   * byDay: { 'YYYY-MM-DD': { co2, bytes } }; days without visits count as under budget,
+   * but the streak never reaches back before the first recorded day.
+   */
+  function streak(b, byDay, now = new Date()) {
+    const days = Object.keys(byDay || {}).sort();
+    if (!days.length) return 0;
+    const firstDay = days[0];
+    const underOn = day => METRICS[b.metric].fromTotals(byDay[day] || {}) <= b.limit;
+    let t = utcMidnight(now);
+    let count = 0;
+    const today = new Date(t).toISOString().slice(0, 10);
+    if (underOn(today)) count += 1;
+    for (let i = 1; i < MAX_STREAK_DAYS; i++) {
+      t -= DAY_MS;
+      const day = new Date(t).toISOString().slice(0, 10);
+      if (day < firstDay || !underOn(day)) break;
+      count += 1;
+    }
+    return count;
+  }
+
+  function formatValue(metric, value) {
+    return `${Number(value || 0).toFixed(METRICS[metric].digits)} ${METRICS[metric].label}`;
+  }
+
+  // Renders progress bars for budget statuses into `container` (extension pages only).
+  function renderBars(container, statuses) {
+    if (!container) return;
+    container.innerHTML = '';
+    if (!statuses || !statuses.length) {
+      container.innerHTML = '<div class="placeholder">No budgets set — add them in Options.</div>';
+      return;
+    }
+    statuses.forEach(st => {
+      const row = document.createElement('div');
+      row.className = 'budget-row' + (st.over ? ' over' : (st.pct >= 80 ? ' warn' : ''));
+      const title = document.createElement('div');
+      title.className = 'budget-title';
+      const scope = st.scope === 'global' ? 'All sites' : st.scope;
+      title.textContent = `${scope} · ${st.period}: ${formatValue(st.metric, st.used)} of ${formatValue(st.metric, st.limit)}`;
+      const bar = document.createElement('div');
+      bar.className = 'budget-bar';
+      const fill = document.createElement('div');
+      fill.className = 'budget-fill';
+      fill.style.width = `${Math.min(100, st.pct).toFixed(1)}%`;
+      bar.appendChild(fill);
+      const meta = document.createElement('div');
+      meta.className = 'budget-meta';
+      meta.textContent = st.over
+        ? `Over by ${formatValue(st.metric, st.used - st.limit)}`
+        : `${formatValue(st.metric, st.remaining)} left`;
+      if (typeof st.streak === 'number') meta.textContent += ` · ${st.streak}-day streak under budget`;
+      row.appendChild(title);
+      row.appendChild(bar);
+      row.appendChild(meta);
+      container.appendChild(row);
+    });
+  }
+
+  root.GreenBudgets = { PERIODS, METRICS, validate, normalize, periodStart, progress, streak, formatValue, renderBars };
+})(typeof self !== 'undefined' ? self : this);
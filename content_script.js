@@ -18,27 +18,19 @@
   }
 
   // ---------- Settings (read from chrome.storage.local) ----------
-  const DEFAULT_SETTINGS = {
-    energyFactor_mJ_per_byte: 1e-6,
-    co2Factor_g_per_byte: 1e-6,
-    // alert defaults
-    alert_enabled: true,
-    alert_co2_threshold_g: 10,
-    alert_time_threshold_s: 30,
-    alert_window_minutes: 10,
-    alert_check_interval_s: 10,
-    alert_cooldown_min: 5,
-    samplingInterval_s: 30
-  };
+  // Defaults, ranges and migrations come from settings_schema.js (loaded before this script).
+  const DEFAULT_SETTINGS = GreenSettings.DEFAULTS;
 
   let SETTINGS = Object.assign({}, DEFAULT_SETTINGS);
+  // salt for the "hashed" URL privacy level; created by the service worker on install
+  let HASH_SALT = null;
 
   function loadSettings() {
     return new Promise((resolve) => {
       try {
-        chrome.storage.local.get(['settings'], (items) => {
-          const s = items.settings || {};
-          SETTINGS = Object.assign({}, DEFAULT_SETTINGS, s);
+        chrome.storage.local.get(['settings', 'urlHashSalt'], (items) => {
+          SETTINGS = GreenSettings.normalize(items.settings).settings;
+          HASH_SALT = items.urlHashSalt || null;
           resolve(SETTINGS);
         });
       } catch (e) {
@@ -50,51 +42,164 @@
     });
   }
 
-  // ---------- Issue detection ----------
-  function detectIssues(record) {
-    const issues = [];
-    try {
-      const vids = Array.from(document.querySelectorAll('video'));
-      const anyAutoplayPlaying = vids.some(v => v.autoplay || (!v.paused && !v.ended));
-      if (anyAutoplayPlaying) {
-        issues.push({
-          code: 'autoplay_video',
-          severity: 0.9,
-          message: 'Autoplaying video detected — consider disabling autoplay or pausing when not watched.'
-        });
+  // pick up option changes without reloading the page
+  try {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.settings) {
+        SETTINGS = GreenSettings.normalize(changes.settings.newValue).settings;
+        applySiteRules();
+        if (sampleTimer) startSampling();
+        applyEco();
       }
-    } catch (e) {}
+      if (area === 'local' && changes.urlHashSalt) HASH_SALT = changes.urlHashSalt.newValue || null;
+    });
+  } catch (e) {}
 
-    if ((record.transferBytes || 0) > 5_000_000) {
-      issues.push({
-        code: 'page_weight',
-        severity: 0.8,
-        message: 'This page is heavy (>5MB). Optimize large images and assets.'
-      });
-    }
+  // ---------- Site exclusions (site_rules.js) ----------
+  const INCOGNITO = !!(chrome.extension && chrome.extension.inIncognitoContext);
+  let wasTracked = null;
 
-    if ((record.resourceCount || 0) > 150) {
-      issues.push({
-        code: 'too_many_resources',
-        severity: 0.6,
-        message: 'Many resources loaded — consider reducing third-party scripts or bundling.'
-      });
+  function isTracked() {
+    return GreenSiteRules.decide(location.href, SETTINGS, { incognito: INCOGNITO }).track;
+  }
+
+  // Removes the overlay when the page becomes excluded; measures it when it is allowed again.
+  function applySiteRules() {
+    const tracked = isTracked();
+    if (tracked === wasTracked) return;
+    const first = wasTracked === null;
+    wasTracked = tracked;
+    if (!tracked) {
+      session = null;
+      return removeOverlay();
     }
+    if (first) return;
+    createOverlay();
+    startSession(false);
+    sendRecord();
+  }
 
-    if ((record.longTasks || 0) > 3) {
-      issues.push({
-        code: 'long_tasks',
-        severity: 0.7,
-        message: 'Long JavaScript tasks detected — reduce heavy synchronous work.'
-      });
+  function excludeThisSite() {
+    const host = location.hostname;
+    if (!confirm(`Stop tracking ${host}? Nothing more will be measured or stored for it. Existing history can be deleted from the popup or options.`)) return;
+    try {
+      chrome.runtime.sendMessage({ type: 'exclude-site', host }, () => {});
+    } catch (err) {
+      console.warn('exclude-site message failed', err);
     }
+  }
 
-    return issues;
+  // ---------- Resource classification ----------
+  const FONT_RE = /\.(woff2?|ttf|otf|eot)(\?|#|$)/i;
+  const CSS_RE = /\.css(\?|#|$)/i;
+  const MEDIA_RE = /\.(mp4|webm|m4s|m3u8|mpd|ts|mp3|m4a|aac|ogg|opus|wav)(\?|#|$)/i;
+  const IMAGE_RE = /\.(png|jpe?g|gif|webp|avif|svg|ico|bmp)(\?|#|$)/i;
+  const SCRIPT_RE = /\.m?js(\?|#|$)/i;
+
+  // Content class from initiatorType, refined by file extension (fonts/css are often 'link' or 'css').
+  function classifyResource(e) {
+    const t = e.initiatorType || '';
+    const name = e.name || '';
+    if (FONT_RE.test(name)) return 'font';
+    if (CSS_RE.test(name)) return 'css';
+    if (t === 'video' || t === 'audio' || MEDIA_RE.test(name)) return 'media';
+    if (t === 'img' || t === 'image' || IMAGE_RE.test(name)) return 'image';
+    if (t === 'script' || SCRIPT_RE.test(name)) return 'script';
+    if (t === 'xmlhttprequest' || t === 'fetch' || t === 'beacon') return 'xhr';
+    return 'other';
+  }
+
+  // Registrable "site" of a hostname: last two labels, or three for ccTLD second levels (co.uk, com.au).
+  function siteOf(host) {
+    const labels = String(host || '').toLowerCase().split('.').filter(Boolean);
+    if (labels.length <= 2) return labels.join('.');
+    const tld = labels[labels.length - 1];
+    const sld = labels[labels.length - 2];
+    const n = (tld.length === 2 && sld.length <= 3) ? 3 : 2;
+    return labels.slice(-n).join('.');
+  }
+
+  function hostOf(url) {
+    try { return new URL(url, location.href).hostname; } catch (e) { return ''; }
+  }
+
+  // Where an entry's body came from: 'hit' (HTTP cache, transferSize 0), 'revalidated'
+  // (304: only headers crossed the network, transferSize < encodedBodySize), 'network', or
+  // null for opaque cross-origin entries, which the service worker sizes instead.
+  function cacheStatus(e) {
+    if (typeof e.transferSize !== 'number') return e.encodedBodySize ? 'network' : null;
+    if (isOpaque(e)) return null;
+    if (e.transferSize === 0) return e.encodedBodySize ? 'hit' : 'network';
+    return e.transferSize < (e.encodedBodySize || 0) ? 'revalidated' : 'network';
+  }
+
+  // bytes that crossed the network; only these are charged
+  function resourceBytes(e) {
+    if (typeof e.transferSize === 'number') return e.transferSize;
+    // no transferSize (older engines): the body is the best guess
+    return typeof e.encodedBodySize === 'number' ? e.encodedBodySize : 0;
+  }
+
+  // body bytes served from the HTTP cache instead of the network
+  function cachedBytes(e) {
+    const status = cacheStatus(e);
+    return status === 'hit' || status === 'revalidated' ? e.encodedBodySize : 0;
+  }
+
+  // Cross-origin responses without Timing-Allow-Origin report every size as 0. Their URLs are
+  // passed to the service worker, which sizes them from the matching webRequest response.
+  const MAX_UNMEASURED = 500;
+  function isOpaque(e) {
+    return !e.transferSize && !e.encodedBodySize && !e.decodedBodySize && /^https?:/.test(e.name || '');
+  }
+
+  function addBucket(map, key, bytes) {
+    map[key] = map[key] || { bytes: 0, count: 0 };
+    map[key].bytes += bytes;
+    map[key].count += 1;
+  }
+
+  // keep the heaviest third-party hosts per visit so records stay compact
+  const MAX_THIRD_PARTY_HOSTS = 30;
+  function topBuckets(map, n) {
+    const out = {};
+    Object.keys(map).sort((a, b) => map[b].bytes - map[a].bytes).slice(0, n).forEach(k => { out[k] = map[k]; });
+    return out;
+  }
+
+  // ---------- Audits (audit_rules.js) ----------
+  // Page rules run on the DOM and the session's resource entries; network rules and the
+  // grams saved are added by the service worker.
+  const MAX_AUDIT_ENTRIES = 1000;
+  let maxScrollY = 0;
+  try {
+    window.addEventListener('scroll', () => { maxScrollY = Math.max(maxScrollY, window.scrollY || 0); }, { passive: true });
+  } catch (e) {}
+
+  function auditResource(e, type) {
+    return {
+      url: e.name || '',
+      type: type || classifyResource(e),
+      bytes: resourceBytes(e),
+      encodedBodySize: e.encodedBodySize || 0,
+      decodedBodySize: e.decodedBodySize || 0,
+      contentType: e.contentType || ''
+    };
+  }
+
+  function auditPage() {
+    if (!session) return [];
+    const resources = session.entries.map(e => auditResource(e));
+    try {
+      const nav = performance.getEntriesByType('navigation')[0];
+      if (nav) resources.push(auditResource(nav, 'document'));
+    } catch (e) {}
+    return GreenAudit.run('page', { totals: session.total, resources, document, window, maxScrollY });
   }
 
   // ---------- Overlay UI ----------
   function createOverlay() {
-    if (document.getElementById('green-co2-overlay')) return;
+    if (document.getElementById('green-co2-overlay') || !isTracked()) return;
     try {
       const div = document.createElement('div');
       div.id = 'green-co2-overlay';
@@ -113,6 +218,7 @@
       div.innerHTML = `<div id="gco2-val">Estimating...</div>
                        <div style="font-size:10px;margin-top:6px;display:flex;gap:8px;align-items:center;justify-content:space-between">
                          <a id="gco2-open" href="#" style="color:#8fe;text-decoration:none">Open dashboard</a>
+                         <a id="gco2-exclude" href="#" style="color:#ccc;text-decoration:none" title="Stop tracking this site">Don't track</a>
                          <span id="gco2-icon" title="CO₂ alert status">🔔</span>
                        </div>`;
       document.documentElement.appendChild(div);
@@ -128,12 +234,26 @@
           }
         });
       }
+      const excludeLink = document.getElementById('gco2-exclude');
+      if (excludeLink) {
+        excludeLink.addEventListener('click', (e) => {
+          e.preventDefault();
+          excludeThisSite();
+        });
+      }
     } catch (e) {
       // if DOM not available or blocked, ignore overlay creation
       console.warn('createOverlay failed', e);
     }
   }
 
+  function removeOverlay() {
+    ['green-co2-overlay', 'green-co2-alert-banner'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.remove();
+    });
+  }
+
   function updateOverlay(text, alertState = null) {
     const el = document.getElementById('gco2-val');
     if (el) el.textContent = text;
@@ -143,21 +263,103 @@
     }
   }
 
-  // ---------- Metrics Gathering ----------
-  function gatherMetricsOnce() {
+  // ---------- Page session ----------
+  // One session per page view (and per SPA route). Resource and long-task observers keep
+  // adding to it while the page is open. The first sample goes to the service worker as the
+  // visit record; after that, what was loaded since the previous sample is sent as a delta
+  // every samplingInterval_s, and a final one on pagehide or when the tab is hidden.
+  // Time spent hidden is added when the tab is shown again or the page goes away, so
+  // background tabs don't wake up to send deltas.
+  let session = null;
+  let hiddenSince = null;
+  let sendChain = Promise.resolve();
+  let sampleTimer = null;
+  let sampleEveryMs = 0;
+
+  function emptyCounts() {
+    return { transferBytes: 0, resourceCount: 0, longTasks: 0, longTaskMs: 0, activeTime_s: 0, backgroundTime_s: 0, byType: {}, byParty: {}, thirdPartyHosts: {},
+      byteSources: { measured: 0 }, unmeasured: [], media: GreenMedia.emptyMedia(),
+      cache: { bytes: 0, hits: 0, revalidated: 0, misses: 0 }, eco: GreenEco.emptyEco() };
+  }
+
+  function addResource(c, e) {
+    const bytes = resourceBytes(e);
+    const type = classifyResource(e);
+    c.transferBytes += bytes;
+    c.resourceCount += 1;
+    c.byteSources.measured += bytes;
+    addBucket(c.byType, type, bytes);
+    const host = hostOf(e.name);
+    const party = siteOf(host) === siteOf(location.hostname) ? 'first' : 'third';
+    addBucket(c.byParty, party, bytes);
+    if (party === 'third' && host) addBucket(c.thirdPartyHosts, host, bytes);
+    if (isOpaque(e) && c.unmeasured.length < MAX_UNMEASURED) c.unmeasured.push({ url: e.name, type, party, host });
+    const status = cacheStatus(e);
+    if (status === 'hit') c.cache.hits += 1;
+    else if (status === 'revalidated') c.cache.revalidated += 1;
+    else if (status === 'network') c.cache.misses += 1;
+    c.cache.bytes += cachedBytes(e);
+  }
+
+  // every counter goes to the running total and to the not-yet-sent delta
+  function count(fn) {
+    if (!session) return;
+    fn(session.total);
+    fn(session.pending);
+  }
+
+  // `seed` counts the resources already in the timeline (first session of the page only)
+  function startSession(seed) {
+    session = { id: guid(), ts: new Date().toISOString(), seq: 0, sent: false, final: false, total: emptyCounts(), pending: emptyCounts(), mediaSeen: new WeakSet(), entries: [] };
+    if (seed) {
+      try { performance.getEntriesByType('resource').forEach(observeResource); } catch (e) {}
+    }
+  }
+
+  function observeResource(e) {
+    if (!session) return;
+    if (session.entries.length < MAX_AUDIT_ENTRIES) session.entries.push(e);
+    count(c => addResource(c, e));
+  }
+
+  function observePerformance() {
     try {
-      const perf = window.performance || {};
-      const entries = (perf.getEntriesByType && perf.getEntriesByType('resource')) || [];
-      let transferBytes = 0;
-      const resourceCount = entries.length || 0;
-      try {
-        entries.forEach(e => {
-          if (typeof e.transferSize === 'number' && e.transferSize > 0) transferBytes += e.transferSize;
-          // fallback: if transferSize missing, try encodedBodySize if present
-          else if (typeof e.encodedBodySize === 'number') transferBytes += e.encodedBodySize;
-        });
-      } catch (e) {}
+      new PerformanceObserver(list => list.getEntries().forEach(observeResource))
+        .observe({ type: 'resource' });
+    } catch (e) {}
+    try {
+      // long tasks aren't in the timeline buffer; `buffered` replays those before document_idle
+      new PerformanceObserver(list => list.getEntries().forEach(e => count(c => {
+        c.longTasks += 1;
+        c.longTaskMs += Math.round(e.duration);
+      }))).observe({ type: 'longtask', buffered: true });
+    } catch (e) {}
+  }
+
+  function sessionEstimate() {
+    return GreenEmissions.estimate(session ? session.total.transferBytes : 0, SETTINGS);
+  }
+
+  function overlayText() {
+    return `${safeNum(sessionEstimate().estimatedCO2_g, 0).toFixed(4)} g CO₂`;
+  }
+
+  // messages go out in order, so a delta never overtakes the (async, sanitized) record
+  function send(type, payload) {
+    sendChain = sendChain.then(() => payload).then(body => {
+      chrome.runtime.sendMessage(Object.assign({ type }, body), () => {
+        // optional callback
+      });
+    }).catch(e => {
+      console.warn(`sendMessage ${type} failed`, e);
+    });
+  }
 
+  function sendRecord() {
+    if (!session || session.sent || !isTracked()) return null;
+    try {
+      const perf = window.performance || {};
+      const t = session.total;
       const domSize = document.documentElement?.outerHTML?.length || document.body?.innerText?.length || 0;
       const nav = (perf.getEntriesByType && perf.getEntriesByType('navigation') && perf.getEntriesByType('navigation')[0]) || {};
       const loadTimeMs = (nav && nav.loadEventEnd && nav.loadEventStart) ? (nav.loadEventEnd - nav.loadEventStart) : Math.round(performance.now() || 0);
@@ -165,70 +367,357 @@
       const fcp = fcpEntry ? Math.round(fcpEntry.startTime) : null;
 
       const record = {
-        id: guid(),
-        ts: new Date().toISOString(),
+        id: session.id,
+        ts: session.ts,
         url: location.href,
         origin: location.hostname,
         title: document.title || '',
-        transferBytes: transferBytes,
-        resourceCount: resourceCount,
+        transferBytes: t.transferBytes,
+        resourceCount: t.resourceCount,
         domSize: domSize,
         loadTimeMs: Math.round(loadTimeMs),
         firstContentPaintMs: fcp,
-        longTasks: 0
+        longTasks: t.longTasks,
+        longTaskMs: t.longTaskMs,
+        activeTime_s: t.activeTime_s,
+        backgroundTime_s: t.backgroundTime_s,
+        breakdown: { byType: t.byType, byParty: t.byParty, thirdPartyHosts: topBuckets(t.thirdPartyHosts, MAX_THIRD_PARTY_HOSTS) },
+        byteSources: t.byteSources,
+        unmeasured: t.unmeasured,
+        cache: t.cache,
+        eco: GreenEco.hasInterventions(t.eco) ? t.eco : undefined,
+        media: GreenMedia.hasPlayback(t.media) ? t.media : undefined,
+        sampleSeq: 0,
+        final: false
       };
+      session.sent = true;
+      session.pending = emptyCounts();
 
-      // Long Tasks API
-      try {
-        const observer = new PerformanceObserver(list => {
-          const ents = list.getEntries();
-          record.longTasks += ents.length;
-        });
-        // Observe buffered long tasks as well if supported
-        observer.observe({ type: 'longtask', buffered: true });
-        // Note: we don't disconnect here; it's fine — browser buffers are small
-      } catch (e) {}
-
-      // Compute estimated CO2: if user settings define co2Factor_g_per_byte, use it; otherwise fallback
-      const co2Factor = SETTINGS.co2Factor_g_per_byte || DEFAULT_SETTINGS.co2Factor_g_per_byte;
+      // Preliminary estimate for the overlay using the selected emissions model;
+      // the service worker recomputes it with first/returning visit context before storing.
       // transferBytes might be zero for cached-only pages — that's OK
-      record.estimatedCO2_g = safeNum((record.transferBytes * co2Factor), 0);
-
-      // Detect potential issues
-      record.issues = detectIssues(record);
+      const est = sessionEstimate();
+      record.estimatedEnergy_mJ = est.estimatedEnergy_mJ;
+      record.estimatedCO2_g = safeNum(est.estimatedCO2_g, 0);
 
-      // Update overlay
-      updateOverlay(`${(record.estimatedCO2_g || 0).toFixed(4)} g CO₂`);
+      record.issues = auditPage();
 
-      // Send to background/service worker
-      try {
-        chrome.runtime.sendMessage({ type: 'visit-record', record }, (resp) => {
-          // optional callback
-        });
-      } catch (e) {
-        console.warn('sendMessage visit-record failed', e);
-      }
+      updateOverlay(overlayText());
 
-      // Keep last record locally for alert logic convenience
-      lastRecord = record;
+      // url/title are reduced to the privacy level before the record leaves the page; the copy
+      // keeps resources observed meanwhile (they go in the next delta) out of the record
+      const snapshot = JSON.parse(JSON.stringify(record));
+      send('visit-record', GreenPrivacy.sanitize(snapshot, SETTINGS.urlPrivacy, HASH_SALT).then(clean => ({ record: clean })));
       return record;
     } catch (e) {
-      console.error('gatherMetricsOnce error', e);
+      console.error('sendRecord error', e);
       return null;
     }
   }
 
+  // Sends what was counted since the last sample. `final` marks the visit complete for now
+  // (page hidden or gone); later activity after the tab is shown again reopens it.
+  function sendDelta(final = false) {
+    if (!session || !session.sent) return;
+    // count playback up to this moment
+    if (final && mediaTimer && performance.now() - lastMediaTick > 250) sampleMedia();
+    if (final) {
+      countBackground();
+      settleEco(false);
+    }
+    const p = session.pending;
+    const idle = !p.transferBytes && !p.resourceCount && !p.longTasks && !p.activeTime_s && !p.backgroundTime_s && !p.media.playTime_s &&
+      !GreenEco.hasInterventions(p.eco);
+    if (idle && final === session.final) return;
+    session.pending = emptyCounts();
+    session.seq += 1;
+    session.final = final;
+    send('visit-delta', { delta: {
+      id: session.id,
+      seq: session.seq,
+      final,
+      transferBytes: p.transferBytes,
+      resourceCount: p.resourceCount,
+      longTasks: p.longTasks,
+      longTaskMs: p.longTaskMs,
+      activeTime_s: p.activeTime_s,
+      backgroundTime_s: p.backgroundTime_s,
+      breakdown: { byType: p.byType, byParty: p.byParty, thirdPartyHosts: topBuckets(p.thirdPartyHosts, MAX_THIRD_PARTY_HOSTS) },
+      byteSources: p.byteSources,
+      unmeasured: p.unmeasured,
+      cache: p.cache,
+      eco: GreenEco.hasInterventions(p.eco) ? p.eco : undefined,
+      media: GreenMedia.hasPlayback(p.media) ? p.media : undefined,
+      issues: auditPage()
+    } });
+    updateOverlay(overlayText());
+  }
+
+  // ---------- Media playback (media_model.js) ----------
+  // While anything plays, every <video>/<audio> is sampled once a second for play time,
+  // rendered resolution, playback rate and visibility. Elapsed time is measured rather than
+  // assumed, so throttled timers in background tabs still add up.
+  const MEDIA_TICK_MS = 1000;
+  const MEDIA_MAX_GAP_S = 60;
+  const videoEls = document.getElementsByTagName('video');
+  const audioEls = document.getElementsByTagName('audio');
+  let mediaTimer = null;
+  let lastMediaTick = 0;
+
+  function inViewport(el) {
+    const r = el.getBoundingClientRect();
+    return r.width > 0 && r.height > 0 && r.bottom > 0 && r.right > 0 && r.top < window.innerHeight && r.left < window.innerWidth;
+  }
+
+  // Returns whether anything was playing.
+  function sampleMedia() {
+    const now = performance.now();
+    const dt = Math.min(MEDIA_MAX_GAP_S, (now - lastMediaTick) / 1000);
+    lastMediaTick = now;
+    let playing = false;
+    Array.from(videoEls).concat(Array.from(audioEls)).forEach(el => {
+      if (el.paused || el.ended || el.readyState < 3) return;
+      playing = true;
+      if (!session || dt <= 0) return;
+      const isVideo = el.tagName === 'VIDEO' && el.videoWidth > 0;
+      const res = isVideo ? GreenMedia.resolutionOf(el.videoWidth, el.videoHeight) : 'audio';
+      const bytes = GreenMedia.estimateBytes(res, dt, el.playbackRate);
+      const visible = isVideo && document.visibilityState === 'visible' && inViewport(el);
+      const isNew = !session.mediaSeen.has(el);
+      session.mediaSeen.add(el);
+      count(c => GreenMedia.addMedia(c.media, {
+        playTime_s: dt,
+        visibleTime_s: visible ? dt : 0,
+        audioTime_s: isVideo ? 0 : dt,
+        bytes,
+        maxHeight: isVideo ? Math.min(el.videoWidth, el.videoHeight) : 0,
+        elements: isNew ? 1 : 0,
+        byResolution: { [res]: { seconds: dt, bytes } }
+      }));
+    });
+    return playing;
+  }
+
+  function startMediaTimer() {
+    if (mediaTimer) return;
+    lastMediaTick = performance.now();
+    mediaTimer = setInterval(() => {
+      if (!sampleMedia()) stopMediaTimer();
+    }, MEDIA_TICK_MS);
+  }
+  function stopMediaTimer() {
+    if (mediaTimer) { clearInterval(mediaTimer); mediaTimer = null; }
+  }
+
+  function watchMedia() {
+    // media events don't bubble, but they can be captured on the document
+    ['play', 'playing', 'ratechange'].forEach(type => document.addEventListener(type, startMediaTimer, true));
+    if (Array.from(videoEls).concat(Array.from(audioEls)).some(el => !el.paused && !el.ended)) startMediaTimer();
+  }
+
+  // ---------- Eco mode (eco_mode.js) ----------
+  // Video that starts without a user gesture, or keeps playing out of view, is paused
+  // ("held"). What it would have streamed while held (wall-clock time, capped by what was
+  // left of it) is counted as avoided with the media model's bitrates. Images far below the
+  // fold get loading="lazy"; those still not loaded when the page goes away are counted.
+  const GESTURE_WINDOW_MS = 1000;
+  const OFFSCREEN_GRACE_MS = 3000;
+  const MAX_HOLD_S = 600;
+  const MAX_REPAUSES = 3;
+  const held = new Map(); // element -> { kind, since, counted, logged, repauses }
+  const ecoResuming = new WeakSet();
+  const offscreen = new WeakSet();
+  const offscreenTimers = new WeakMap();
+  const lazified = new Set();
+  let lastGesture = -Infinity;
+  let visibilityObserver = null;
+  let imageObserver = null;
+
+  function ecoOn(flag) {
+    return !!session && GreenEco.enabledFor(location.href, SETTINGS) && !!SETTINGS[flag];
+  }
+
+  function userStarted() {
+    return performance.now() - lastGesture < GESTURE_WINDOW_MS;
+  }
+
+  function holdVideo(el, kind) {
+    if (!held.has(el)) held.set(el, { kind, since: performance.now(), counted: 0, logged: false, repauses: 0 });
+    el.pause();
+  }
+
+  // counts what a held video has avoided since the last call
+  function settleHeld(el, h) {
+    const remaining = el.loop || !Number.isFinite(el.duration) ? MAX_HOLD_S : Math.max(0, el.duration - el.currentTime);
+    const total = Math.min((performance.now() - h.since) / 1000, remaining, MAX_HOLD_S);
+    const seconds = Math.max(0, total - h.counted);
+    // sub-second remainders wait for the next settle instead of sending a delta of their own
+    if (seconds < 1 && h.logged) return;
+    h.counted += seconds;
+    const dpr = window.devicePixelRatio || 1;
+    const res = el.videoHeight
+      ? GreenMedia.resolutionOf(el.videoWidth, el.videoHeight)
+      : GreenMedia.resolutionOf(el.clientWidth * dpr, el.clientHeight * dpr);
+    const bytes = GreenMedia.estimateBytes(res, seconds, el.playbackRate);
+    count(c => GreenEco.addIntervention(c.eco, h.kind, h.logged ? 0 : 1, bytes));
+    h.logged = true;
+  }
+
+  function releaseVideo(el) {
+    const h = held.get(el);
+    if (!h) return;
+    settleHeld(el, h);
+    held.delete(el);
+  }
+
+  function onPlay(e) {
+    const el = e.target;
+    if (!el || el.tagName !== 'VIDEO') return;
+    if (ecoResuming.has(el)) {
+      ecoResuming.delete(el);
+      return;
+    }
+    const h = held.get(el);
+    if (h) {
+      // pages that keep calling play() win after a few tries; a click always does
+      if (!userStarted() && h.repauses < MAX_REPAUSES) {
+        h.repauses += 1;
+        el.pause();
+        return;
+      }
+      releaseVideo(el);
+    } else if (!userStarted() && ecoOn('ecoPauseAutoplay')) {
+      return holdVideo(el, 'autoplay');
+    }
+    watchVisibility(el);
+  }
+
+  function watchVisibility(el) {
+    if (!ecoOn('ecoStopOffscreenVideo') || typeof IntersectionObserver === 'undefined') return;
+    visibilityObserver = visibilityObserver || new IntersectionObserver(entries => entries.forEach(onVisibilityChange));
+    visibilityObserver.observe(el);
+    if (offscreen.has(el)) scheduleOffscreenHold(el);
+  }
+
+  function scheduleOffscreenHold(el) {
+    clearTimeout(offscreenTimers.get(el));
+    offscreenTimers.set(el, setTimeout(() => {
+      if (offscreen.has(el) && !el.paused && !held.has(el) && ecoOn('ecoStopOffscreenVideo')) holdVideo(el, 'offscreen_video');
+    }, OFFSCREEN_GRACE_MS));
+  }
+
+  function onVisibilityChange(entry) {
+    const el = entry.target;
+    if (!entry.isIntersecting) {
+      offscreen.add(el);
+      if (!el.paused) scheduleOffscreenHold(el);
+      return;
+    }
+    offscreen.delete(el);
+    clearTimeout(offscreenTimers.get(el));
+    const h = held.get(el);
+    if (h && h.kind === 'offscreen_video') {
+      releaseVideo(el);
+      ecoResuming.add(el);
+      Promise.resolve(el.play()).catch(() => ecoResuming.delete(el));
+    }
+  }
+
+  function lazifyImage(img) {
+    if (img.loading === 'lazy' || img.complete || lazified.has(img)) return;
+    if (img.getBoundingClientRect().top < window.innerHeight * 2) return;
+    img.loading = 'lazy';
+    lazified.add(img);
+  }
+
+  function lazifyImages(node) {
+    if (node.tagName === 'IMG') return lazifyImage(node);
+    if (node.querySelectorAll) node.querySelectorAll('img').forEach(lazifyImage);
+  }
+
+  // images made lazy that never loaded (count only; the service worker sizes them)
+  function settleLazyImages() {
+    let avoided = 0;
+    lazified.forEach(img => { if (!img.complete) avoided += 1; });
+    lazified.clear();
+    if (avoided) count(c => GreenEco.addIntervention(c.eco, 'lazy_images', avoided));
+  }
+
+  // adds what was avoided so far; lazy images only once the page is done with them
+  function settleEco(end) {
+    held.forEach((h, el) => settleHeld(el, h));
+    if (end) settleLazyImages();
+  }
+
+  // (re)applies the eco settings to the page
+  function applyEco() {
+    if (ecoOn('ecoPauseAutoplay') || ecoOn('ecoStopOffscreenVideo')) {
+      Array.from(videoEls).forEach(el => {
+        if (el.paused || el.ended) return;
+        if (ecoOn('ecoPauseAutoplay') && !userStarted()) holdVideo(el, 'autoplay');
+        else watchVisibility(el);
+      });
+    } else {
+      // eco mode switched off: stop holding (the user can press play)
+      Array.from(held.keys()).forEach(releaseVideo);
+    }
+    if (ecoOn('ecoLazyImages')) {
+      lazifyImages(document);
+      if (!imageObserver) {
+        imageObserver = new MutationObserver(list => list.forEach(m => m.addedNodes.forEach(lazifyImages)));
+        imageObserver.observe(document.documentElement, { childList: true, subtree: true });
+      }
+    } else if (imageObserver) {
+      imageObserver.disconnect();
+      imageObserver = null;
+    }
+  }
+
+  function watchEco() {
+    ['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+      window.addEventListener(type, () => { lastGesture = performance.now(); }, { capture: true, passive: true });
+    });
+    document.addEventListener('play', onPlay, true);
+    applyEco();
+  }
+
+  function startSampling() {
+    const every = (SETTINGS.samplingInterval_s || DEFAULT_SETTINGS.samplingInterval_s) * 1000;
+    if (sampleTimer && every === sampleEveryMs) return;
+    if (sampleTimer) clearInterval(sampleTimer);
+    sampleEveryMs = every;
+    sampleTimer = setInterval(() => sendDelta(false), every);
+  }
+
+  // Finishes the current session and starts another (SPA route change, back/forward cache restore).
+  function restartSession() {
+    settleEco(true);
+    sendDelta(true);
+    startSession(false);
+    createOverlay();
+    setTimeout(sendRecord, 300);
+  }
+
   // ---------- SPA navigation detection ----------
   let lastUrl = location.href;
+  // path patterns can exclude some routes of a site, so the rules are re-checked per route
+  function onRouteChange() {
+    wasTracked = isTracked();
+    if (!wasTracked) {
+      sendDelta(true);
+      session = null;
+      return removeOverlay();
+    }
+    // new session, overlay and record for the new route
+    restartSession();
+  }
+
   function detectNavigationChanges() {
     // Observe mutations that often indicate SPA route changes
     const obs = new MutationObserver(() => {
       if (location.href !== lastUrl) {
         lastUrl = location.href;
-        // re-create overlay for new page/title etc.
-        createOverlay();
-        // gather metrics for new page
-        setTimeout(gatherMetricsOnce, 300);
+        onRouteChange();
       }
     });
     try {
@@ -238,8 +727,7 @@
       setInterval(() => {
         if (location.href !== lastUrl) {
           lastUrl = location.href;
-          createOverlay();
-          setTimeout(gatherMetricsOnce, 300);
+          onRouteChange();
         }
       }, 1000);
     }
@@ -247,7 +735,6 @@
 
   // ---------- CO2 Alert System ----------
   // Shares logic similar to earlier design: checks cumulative CO2 for origin, ensures activeSeconds threshold, enforces cooldown, then plays beep and shows banner
-  let lastRecord = null; // most recent record for page
   const origin = location.hostname;
   let activeSeconds = 0;
   let activeTimer = null;
@@ -295,25 +782,16 @@
     } catch (e) {}
   }
 
+  // Sums CO2 for this origin over the alert window with an indexed range query in the service worker.
   function getCumulativeCO2ForOrigin() {
     return new Promise((resolve) => {
-      chrome.storage.local.get(['visits', 'lastAlertTimes'], items => {
-        const visitsRaw = items.visits || [];
-        const visits = Array.isArray(visitsRaw) ? visitsRaw : (typeof visitsRaw === 'string' ? JSON.parse(visitsRaw) : [visitsRaw]);
-        const windowMs = (SETTINGS.alert_window_minutes || DEFAULT_SETTINGS.alert_window_minutes) * 10 * 1000;
-        const now = Date.now();
-        let sum = 0;
-        for (let v of visits) {
-          try {
-            const ts = v.ts ? new Date(v.ts).getTime() : (v.date ? new Date(v.date).getTime() : null);
-            if (!ts) continue;
-            if ((now - ts) > windowMs) continue;
-            const vOrigin = v.origin || v.host || (v.url ? (new URL(v.url, location.href)).hostname : null);
-            if (vOrigin === origin) sum += Number(v.estimatedCO2_g || v.co2 || 0);
-          } catch (e) { /* ignore */ }
-        }
-        const lastAlertTimes = items.lastAlertTimes || {};
-        resolve({ sum, lastAlertTimes });
+      const windowMs = (SETTINGS.alert_window_minutes || DEFAULT_SETTINGS.alert_window_minutes) * 10 * 1000;
+      const query = { origin, from: Date.now() - windowMs };
+      chrome.runtime.sendMessage({ type: 'sum-visits', query }, (totals) => {
+        const sum = Number((totals && totals.co2) || 0);
+        chrome.storage.local.get(['lastAlertTimes'], items => {
+          resolve({ sum, lastAlertTimes: items.lastAlertTimes || {} });
+        });
       });
     });
   }
@@ -328,7 +806,7 @@
 
   async function evaluateAlert() {
     try {
-      if (!SETTINGS.alert_enabled) return;
+      if (!SETTINGS.alert_enabled || !isTracked()) return;
       if (activeSeconds < (SETTINGS.alert_time_threshold_s || DEFAULT_SETTINGS.alert_time_threshold_s)) return;
       const { sum, lastAlertTimes } = await getCumulativeCO2ForOrigin();
       if (sum < (SETTINGS.alert_co2_threshold_g || DEFAULT_SETTINGS.alert_co2_threshold_g)) return;
@@ -341,8 +819,8 @@
       showAlertBanner(`High CO₂ on ${origin}: ${sum.toFixed(2)} g in last ${SETTINGS.alert_window_minutes} min`);
       setLastAlertTimeForOrigin(now);
       // indicate alert state on overlay briefly
-      updateOverlay(`${(lastRecord?.estimatedCO2_g || 0).toFixed(4)} g CO₂`, true);
-      setTimeout(() => updateOverlay(`${(lastRecord?.estimatedCO2_g || 0).toFixed(4)} g CO₂`, false), 6000);
+      updateOverlay(overlayText(), true);
+      setTimeout(() => updateOverlay(overlayText(), false), 6000);
     } catch (e) {
       console.error('evaluateAlert error', e);
     }
@@ -351,13 +829,25 @@
   function startActiveTimer() {
     if (activeTimer) return;
     activeTimer = setInterval(() => {
-      if (document.visibilityState === 'visible' && document.hasFocus()) activeSeconds += 1;
+      if (document.visibilityState === 'visible' && document.hasFocus()) {
+        activeSeconds += 1;
+        count(c => { c.activeTime_s += 1; });
+      }
     }, 1000);
   }
   function stopActiveTimer() {
     if (activeTimer) { clearInterval(activeTimer); activeTimer = null; }
   }
 
+  // adds the time hidden since the last call (device energy of an open background tab)
+  function countBackground() {
+    if (hiddenSince === null) return;
+    const now = performance.now();
+    const seconds = Math.round((now - hiddenSince) / 100) / 10;
+    if (seconds > 0) count(c => { c.backgroundTime_s += seconds; });
+    hiddenSince = document.visibilityState === 'hidden' ? now : null;
+  }
+
   function startCheckTimer() {
     if (checkTimer) return;
     checkTimer = setInterval(() => {
@@ -371,18 +861,36 @@
   // ---------- Initialization & periodic sampling ----------
   async function init() {
     await loadSettings();
+    applySiteRules();
+    if (isTracked()) startSession(true);
+    observePerformance();
     createOverlay();
-    // initial metrics
-    lastRecord = gatherMetricsOnce();
+    // initial record, then deltas every samplingInterval_s
+    sendRecord();
+    startSampling();
+    watchMedia();
+    watchEco();
 
     // SPA detection
     detectNavigationChanges();
 
-    // Active timers for alerting
+    // Active time (per session and for alerting); hiding the tab finalizes the visit so far
     if (document.visibilityState === 'visible' && document.hasFocus()) startActiveTimer();
+    if (document.visibilityState === 'hidden') hiddenSince = performance.now();
     document.addEventListener('visibilitychange', () => {
-      if (document.visibilityState === 'visible') startActiveTimer();
-      else stopActiveTimer();
+      if (document.visibilityState === 'visible') {
+        countBackground();
+        startActiveTimer();
+      } else {
+        stopActiveTimer();
+        sendDelta(true);
+        hiddenSince = performance.now();
+      }
+    });
+    // a frozen or discarded background tab may never see pagehide
+    document.addEventListener('freeze', () => {
+      settleEco(true);
+      sendDelta(true);
     });
     window.addEventListener('focus', () => startActiveTimer());
     window.addEventListener('blur', () => {/* don't stop here, rely on visibility */});
@@ -393,7 +901,7 @@
     // expose small debug API
     try {
       window.__greenCo2 = window.__greenCo2 || {};
-      window.__greenCo2.getState = () => ({ SETTINGS, activeSeconds, lastRecord });
+      window.__greenCo2.getState = () => ({ SETTINGS, activeSeconds, session });
       window.__greenCo2.resetActive = () => { activeSeconds = 0; };
       window.__greenCo2.forceAlertEval = evaluateAlert;
     } catch (e) {}
@@ -406,10 +914,15 @@
     window.addEventListener('load', () => init());
   }
 
-  // cleanup on unload
-  window.addEventListener('unload', () => {
+  // final sample when the page goes away; `unload` would keep it out of the back/forward cache
+  window.addEventListener('pagehide', () => {
+    settleEco(true);
+    sendDelta(true);
     stopActiveTimer();
-    stopCheckTimer();
+  });
+  // restored from the back/forward cache: a new visit of the same page
+  window.addEventListener('pageshow', (e) => {
+    if (e.persisted && session) restartSession();
   });
 
 })();
\ No newline at end of file
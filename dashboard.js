@@ -20,244 +20,770 @@ function formatKB(bytes) {
   return ((bytes || 0) / 1024).toFixed(1);
 }
 
+function formatDuration(seconds) {
+  const s = Math.round(seconds || 0);
+  if (s < 60) return `${s} s`;
+  const h = Math.floor(s / 3600);
+  const m = Math.round((s % 3600) / 60);
+  return h ? `${h} h ${m} min` : `${m} min`;
+}
+
+function formatKWh(kwh) {
+  const v = num(kwh);
+  return `${v >= 1 ? v.toFixed(2) : v.toFixed(v >= 0.01 ? 3 : 5)} kWh`;
+}
+
 function ensureEl(selector) {
   const el = document.querySelector(selector);
   if (!el) console.warn(`Missing element: ${selector}`);
   return el;
 }
 
+// --- Donut charts (page weight breakdown) ---
+const BREAKDOWN_COLORS = {
+  image: '#2ecc71', script: '#f1c40f', css: '#9b59b6', font: '#e67e22',
+  media: '#e74c3c', xhr: '#3498db', other: '#95a5a6',
+  first: '#27ae60', third: '#c0392b'
+};
+
+// Sums each visit's breakdown[key] buckets ({bytes, count}) into one map.
+function sumBreakdown(visits, key) {
+  const out = {};
+  visits.forEach(v => {
+    const buckets = (v.breakdown && v.breakdown[key]) || {};
+    Object.entries(buckets).forEach(([k, b]) => {
+      out[k] = out[k] || { bytes: 0, count: 0 };
+      out[k].bytes += num(b.bytes);
+      out[k].count += num(b.count);
+    });
+  });
+  return out;
+}
+
+function renderDonut(canvasId, title, buckets, labelFor) {
+  const canvas = document.getElementById(canvasId);
+  if (!canvas || typeof Chart === 'undefined') return;
+  const keys = Object.keys(buckets).sort((a, b) => buckets[b].bytes - buckets[a].bytes);
+  const chartKey = '_' + canvasId;
+  if (window[chartKey]) {
+    try { window[chartKey].destroy(); } catch (e) { /* ignore */ }
+  }
+  window[chartKey] = new Chart(canvas.getContext('2d'), {
+    type: 'doughnut',
+    data: {
+      labels: keys.map(k => `${labelFor(k)} (${buckets[k].count})`),
+      datasets: [{
+        data: keys.map(k => Number((buckets[k].bytes / 1024).toFixed(1))),
+        backgroundColor: keys.map(k => BREAKDOWN_COLORS[k] || '#bdc3c7')
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: {
+        title: { display: true, text: title },
+        legend: { position: 'bottom' },
+        tooltip: { callbacks: { label: (ctx) => `${ctx.label}: ${ctx.parsed} KB` } }
+      }
+    }
+  });
+}
+
+function renderBreakdown(visits) {
+  const withBreakdown = visits.filter(v => v && v.breakdown);
+  renderDonut('typeChart', 'By content type (KB)', sumBreakdown(withBreakdown, 'byType'), k => k);
+  renderDonut('partyChart', 'First vs. third party (KB)', sumBreakdown(withBreakdown, 'byParty'),
+    k => (k === 'first' ? 'First party' : 'Third party'));
+}
+
+// --- Third parties (aggregates.byThirdParty, built by the service worker) ---
+const expandedThirdParties = new Set();
+let lastThirdParties = {};
+
+function buildThirdParties(visits) {
+  const out = {};
+  visits.forEach(v => {
+    const hosts = (v.breakdown && v.breakdown.thirdPartyHosts) || {};
+    const total = num(v.transferBytes);
+    const origin = v.origin || v.host || 'unknown';
+    Object.entries(hosts).forEach(([host, b]) => {
+      const share = total > 0 ? num(v.estimatedCO2_g) * num(b.bytes) / total : 0;
+      const tp = out[host] = out[host] || { bytes: 0, co2: 0, requests: 0, sites: {} };
+      tp.bytes += num(b.bytes);
+      tp.co2 += share;
+      tp.requests += num(b.count);
+      const site = tp.sites[origin] = tp.sites[origin] || { visits: 0, bytes: 0, co2: 0 };
+      site.visits += 1;
+      site.bytes += num(b.bytes);
+      site.co2 += share;
+    });
+  });
+  return out;
+}
+
+function renderThirdParties(byThirdParty) {
+  const tbody = document.querySelector('#thirdPartyTable tbody');
+  if (!tbody) return;
+  const sortBy = (document.getElementById('thirdPartySort') || {}).value || 'co2';
+  const metric = ([, tp]) => (sortBy === 'sites' ? Object.keys(tp.sites || {}).length : num(tp[sortBy]));
+  const rows = Object.entries(byThirdParty || {}).sort((a, b) => metric(b) - metric(a)).slice(0, 50);
+  tbody.innerHTML = '';
+  if (rows.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="5" class="no-data">No third-party requests recorded.</td></tr>`;
+    return;
+  }
+  rows.forEach(([host, tp]) => {
+    const sites = Object.entries(tp.sites || {}).sort((a, b) => num(b[1].co2) - num(a[1].co2));
+    const tr = document.createElement('tr');
+    tr.className = 'expandable';
+    tr.title = 'Show affected sites';
+    [
+      `${expandedThirdParties.has(host) ? '▾' : '▸'} ${host}`,
+      sites.length,
+      num(tp.requests),
+      `${formatKB(tp.bytes)} KB`,
+      num(tp.co2).toFixed(4)
+    ].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    tr.addEventListener('click', () => {
+      if (expandedThirdParties.has(host)) expandedThirdParties.delete(host);
+      else expandedThirdParties.add(host);
+      renderThirdParties(byThirdParty);
+    });
+    tbody.appendChild(tr);
+    if (!expandedThirdParties.has(host)) return;
+    sites.forEach(([origin, site]) => {
+      const sub = document.createElement('tr');
+      sub.className = 'drilldown';
+      [origin, `${num(site.visits)} visits`, '', `${formatKB(site.bytes)} KB`, num(site.co2).toFixed(4)].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        sub.appendChild(td);
+      });
+      tbody.appendChild(sub);
+    });
+  });
+}
+
+// --- Saved by cache (visit.cache, see service_worker.js) ---
+function buildCacheSavings(visits) {
+  const out = {};
+  visits.forEach(v => {
+    if (!v.cache) return;
+    const origin = v.origin || v.host || 'unknown';
+    const o = out[origin] = out[origin] || { visits: 0, network: 0, cached: 0, co2: 0, served: 0, requests: 0 };
+    const served = num(v.cache.hits) + num(v.cache.revalidated);
+    o.visits += 1;
+    o.network += num(v.transferBytes);
+    o.cached += num(v.cache.bytes);
+    o.co2 += num(v.cache.savedCO2_g);
+    o.served += served;
+    o.requests += served + num(v.cache.misses);
+  });
+  return out;
+}
+
+function renderCacheSavings(visits) {
+  const tbody = document.querySelector('#cacheTable tbody');
+  if (!tbody) return;
+  const byOrigin = buildCacheSavings(visits);
+  const rows = Object.entries(byOrigin).filter(([, o]) => o.cached > 0).sort((a, b) => b[1].co2 - a[1].co2 || b[1].cached - a[1].cached);
+  const total = Object.values(byOrigin).reduce((t, o) => ({ cached: t.cached + o.cached, co2: t.co2 + o.co2 }), { cached: 0, co2: 0 });
+  const caption = document.getElementById('cacheCaption');
+  if (caption) caption.textContent = `Browser caching served ${formatKB(total.cached)} KB without downloading it, saving ${total.co2.toFixed(4)} g CO₂.`;
+  tbody.innerHTML = '';
+  if (rows.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="6" class="no-data">No cached loads recorded.</td></tr>`;
+    return;
+  }
+  rows.slice(0, 50).forEach(([origin, o]) => {
+    const tr = document.createElement('tr');
+    [
+      origin,
+      o.visits,
+      o.requests ? `${Math.round(o.served / o.requests * 100)}%` : '–',
+      `${formatKB(o.network)} KB`,
+      `${formatKB(o.cached)} KB`,
+      num(o.co2).toFixed(4)
+    ].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+}
+
+// --- Optimization opportunities (audit findings, audit_rules.js) ---
+function buildOpportunities(visits) {
+  const out = {};
+  visits.forEach(v => {
+    (Array.isArray(v.issues) ? v.issues : []).forEach(f => {
+      if (!f || !f.code) return;
+      const o = out[f.code] = out[f.code] || { title: f.title || f.code, message: f.message, visits: 0, bytes: 0, co2: 0, sites: {} };
+      o.visits += 1;
+      o.bytes += num(f.savingsBytes);
+      o.co2 += num(f.savingsCO2_g);
+      const origin = v.origin || v.host || 'unknown';
+      o.sites[origin] = num(o.sites[origin]) + num(f.savingsCO2_g);
+    });
+  });
+  return out;
+}
+
+function renderOpportunities(visits) {
+  const tbody = document.querySelector('#opportunitiesTable tbody');
+  if (!tbody) return;
+  const rows = Object.values(buildOpportunities(visits)).sort((a, b) => b.co2 - a.co2 || b.bytes - a.bytes || b.visits - a.visits);
+  tbody.innerHTML = '';
+  if (rows.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="5" class="no-data">No optimization opportunities found.</td></tr>`;
+    return;
+  }
+  rows.forEach(o => {
+    const sites = Object.entries(o.sites).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([origin]) => origin);
+    const tr = document.createElement('tr');
+    tr.title = o.message || '';
+    [o.title, o.visits, sites.join(', '), o.bytes ? `${formatKB(o.bytes)} KB` : '–', num(o.co2).toFixed(4)].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+}
+
+// --- Media streaming (visit.media, see media_model.js) ---
+// Streaming estimate (media_model.js): totalled apart from the byte-based numbers above
+// because measured segment downloads are already part of those.
+function renderMediaTotals(visits) {
+  const el = document.getElementById('mediaTotals');
+  if (!el) return;
+  const t = { visits: 0, playTime_s: 0, bytes: 0, co2: 0, maxHeight: 0 };
+  visits.forEach(v => {
+    if (!v.media || !(num(v.media.playTime_s) > 0)) return;
+    t.visits += 1;
+    t.playTime_s += num(v.media.playTime_s);
+    t.bytes += num(v.media.bytes);
+    t.co2 += num(v.media.estimatedCO2_g);
+    t.maxHeight = Math.max(t.maxHeight, num(v.media.maxHeight));
+  });
+  el.textContent = t.visits
+    ? `Streaming (estimated): ${formatDuration(t.playTime_s)} on ${t.visits} visits, ~${(t.bytes / 1048576).toFixed(1)} MB, ${t.co2.toFixed(3)} g CO₂` +
+      (t.maxHeight ? `, up to ${t.maxHeight}p` : '')
+    : 'Streaming: no audio or video playback in this range';
+}
+
+// --- Eco mode (visit.eco, see eco_mode.js) ---
+// Emissions avoided by eco mode, by intervention in the tooltip.
+function renderEcoTotals(visits, settings) {
+  const el = document.querySelector('.total-item.co2-avoided');
+  if (!el) return;
+  const t = { bytes: 0, co2: 0, byKind: {} };
+  visits.forEach(v => {
+    if (!v.eco) return;
+    t.bytes += num(v.eco.avoidedBytes);
+    t.co2 += num(v.eco.avoidedCO2_g);
+    Object.entries(v.eco.byKind || {}).forEach(([kind, k]) => {
+      const s = t.byKind[kind] = t.byKind[kind] || { count: 0, bytes: 0 };
+      s.count += num(k.count);
+      s.bytes += num(k.bytes);
+    });
+  });
+  el.querySelector('.value').textContent = `${t.co2.toFixed(3)} g`;
+  const kinds = Object.entries(t.byKind).map(([kind, k]) => `${GreenEco.KINDS[kind] || kind}: ${k.count} (${formatKB(k.bytes)} KB)`);
+  el.title = kinds.length
+    ? `${formatKB(t.bytes)} KB not downloaded\n${kinds.join('\n')}`
+    : (settings.ecoMode ? 'No interventions in this range' : 'Eco mode is off (Options → Eco mode)');
+}
+
+// --- Energy split (visit.device, see device_model.js) ---
+// Network and data-centre energy (the segments_kWh of the visit's emissions model) next to
+// the energy used on this device (device_model.js), which is not part of the CO₂ total.
+// SWD's own device and production segments are left out so the device isn't counted twice;
+// models without segments (legacy flat factor, old visits) are shown as unsplit.
+function renderEnergySplit(visits) {
+  const el = document.getElementById('energySplit');
+  if (!el) return;
+  const t = { network: 0, networkCO2: 0, unsplit: 0, unsplitCO2: 0, device: 0, deviceCO2: 0, screen: 0, cpu: 0, background: 0 };
+  visits.forEach(v => {
+    const em = v.emissions || {};
+    const segs = em.segments_kWh || {};
+    if ('dataCentre' in segs || 'network' in segs) {
+      const kwh = num(segs.dataCentre) + num(segs.network);
+      t.network += kwh;
+      t.networkCO2 += kwh * num(em.gridIntensity_g_per_kWh, num(v.gridIntensity_g_per_kWh));
+    } else {
+      t.unsplit += num(v.estimatedEnergy_mJ) / 3.6e9;
+      t.unsplitCO2 += num(v.estimatedCO2_g);
+    }
+    if (!v.device) return;
+    t.device += num(v.device.energy_kWh);
+    t.deviceCO2 += num(v.device.estimatedCO2_g);
+    const parts = v.device.parts_kWh || {};
+    t.screen += num(parts.screen);
+    t.cpu += num(parts.cpu);
+    t.background += num(parts.background);
+  });
+  const total = t.network + t.unsplit + t.device;
+  const bar = document.createElement('div');
+  bar.className = 'energy-bar';
+  [['network', t.network], ['unsplit', t.unsplit], ['device', t.device]].forEach(([cls, kwh]) => {
+    const seg = document.createElement('span');
+    seg.className = cls;
+    seg.style.width = total ? `${(kwh / total * 100).toFixed(1)}%` : '0';
+    bar.appendChild(seg);
+  });
+  const line = (cls, text) => {
+    const div = document.createElement('div');
+    div.innerHTML = `<span class="swatch ${cls}"></span>`;
+    div.append(text);
+    return div;
+  };
+  const rows = [bar, line('network', `Network & data centres: ${formatKWh(t.network)}, ${t.networkCO2.toFixed(3)} g CO₂`)];
+  if (t.unsplit > 0) {
+    const unsplit = line('unsplit', `Unsplit (model without segments): ${formatKWh(t.unsplit)}, ${t.unsplitCO2.toFixed(3)} g CO₂`);
+    unsplit.title = 'The legacy flat per-byte model and visits stored before emissions models don\'t say how much is network or device';
+    rows.push(unsplit);
+  }
+  const device = line('device', `This device: ${formatKWh(t.device)}, ${t.deviceCO2.toFixed(3)} g CO₂`);
+  device.title = `Screen ${formatKWh(t.screen)}, CPU ${formatKWh(t.cpu)}, background tabs ${formatKWh(t.background)}`;
+  rows.push(device);
+  el.replaceChildren(...rows);
+}
+
+// --- Sync status (outbox maintained by the service worker) ---
+function renderSyncStatus(status, settings) {
+  const el = document.getElementById('syncStatus');
+  if (!el) return;
+  if (!settings.syncEnabled || !settings.serverUrl) {
+    el.textContent = 'Sync: off';
+    el.className = 'sync-status';
+    return;
+  }
+  const st = status || {};
+  const parts = [`Sync: ${num(st.pending)} pending`];
+  parts.push(`last success ${st.lastSuccess ? new Date(st.lastSuccess).toLocaleString() : 'never'}`);
+  if (st.lastError && (!st.lastSuccess || st.lastErrorAt > st.lastSuccess)) {
+    parts.push(`last error: ${st.lastError} (${new Date(st.lastErrorAt).toLocaleString()})`);
+    if (st.nextAttemptAt) parts.push(`retry at ${new Date(st.nextAttemptAt).toLocaleTimeString()}`);
+  }
+  if (num(st.dropped) > 0) parts.push(`${num(st.dropped)} dropped (outbox full)`);
+  el.textContent = parts.join(' · ');
+  el.className = 'sync-status' + (st.nextAttemptAt ? ' error' : (num(st.pending) ? ' pending' : ' ok'));
+}
+
+// Visits live in the service worker's IndexedDB store; fetch them with a range query.
+function loadVisits(query = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: 'query-visits', query }, (resp) => {
+      resolve(safeParseVisits(resp && resp.visits));
+    });
+  });
+}
+
+// --- Filter bar (persisted in the URL hash, e.g. #range=30d&origin=example.com&q=news) ---
+const PRESET_DAYS = { today: 1, '7d': 7, '30d': 30, '90d': 90 };
+const FILTER_DEFAULTS = { range: '7d', from: '', to: '', origin: '', q: '' };
+const TABLE_ROWS = 200;
+const DAY_MS = 24 * 3600 * 1000;
+
+function todayIso() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function daysBetween(fromDay, toDay) {
+  const out = [];
+  for (let t = Date.parse(fromDay + 'T00:00:00Z'); t <= Date.parse(toDay + 'T00:00:00Z'); t += DAY_MS) {
+    out.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return out;
+}
+
+function readFilter() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  const f = Object.assign({}, FILTER_DEFAULTS);
+  Object.keys(FILTER_DEFAULTS).forEach(k => { if (params.has(k)) f[k] = params.get(k); });
+  if (f.range !== 'all' && f.range !== 'custom' && !PRESET_DAYS[f.range]) f.range = FILTER_DEFAULTS.range;
+  return f;
+}
+
+function writeFilter(f) {
+  const params = new URLSearchParams();
+  Object.keys(FILTER_DEFAULTS).forEach(k => {
+    if (f[k] && !(k === 'range' && f[k] === FILTER_DEFAULTS.range)) params.set(k, f[k]);
+  });
+  if (f.range !== 'custom') { params.delete('from'); params.delete('to'); }
+  history.replaceState(null, '', params.toString() ? '#' + params.toString() : location.pathname);
+}
+
+// Inclusive ISO bounds (UTC days, matching aggregates.byDay) for the selected range.
+function filterBounds(f) {
+  if (f.range === 'all') return { from: null, to: null };
+  if (f.range === 'custom') {
+    return {
+      from: f.from ? `${f.from}T00:00:00.000Z` : null,
+      to: f.to ? `${f.to}T23:59:59.999Z` : null
+    };
+  }
+  const first = new Date(Date.parse(todayIso() + 'T00:00:00Z') - (PRESET_DAYS[f.range] - 1) * DAY_MS);
+  return { from: first.toISOString(), to: `${todayIso()}T23:59:59.999Z` };
+}
+
+function matchesText(v, q) {
+  if (!q) return true;
+  const needle = q.toLowerCase();
+  return String(v.url || '').toLowerCase().includes(needle) || String(v.title || '').toLowerCase().includes(needle);
+}
+
+function syncFilterControls(f, origins) {
+  const byId = id => document.getElementById(id);
+  if (byId('filterRange')) byId('filterRange').value = f.range;
+  if (byId('filterFrom')) { byId('filterFrom').value = f.from; byId('filterFrom').disabled = f.range !== 'custom'; }
+  if (byId('filterTo')) { byId('filterTo').value = f.to; byId('filterTo').disabled = f.range !== 'custom'; }
+  if (byId('filterOrigin')) byId('filterOrigin').value = f.origin;
+  if (byId('filterText') && document.activeElement !== byId('filterText')) byId('filterText').value = f.q;
+  const list = byId('filterOrigins');
+  if (list && origins) {
+    list.innerHTML = '';
+    origins.forEach(o => {
+      const opt = document.createElement('option');
+      opt.value = o;
+      list.appendChild(opt);
+    });
+  }
+}
+
+function onFilterChange() {
+  const byId = id => document.getElementById(id);
+  const f = {
+    range: byId('filterRange').value,
+    from: byId('filterFrom').value,
+    to: byId('filterTo').value,
+    origin: byId('filterOrigin').value.trim(),
+    q: byId('filterText').value.trim()
+  };
+  if (f.range === 'custom' && !f.from && !f.to) f.from = f.to = todayIso();
+  writeFilter(f);
+  refresh();
+}
+
 // --- Main refresh (robust) ---
 function refresh() {
-  chrome.storage.local.get(['visits', 'aggregates', 'settings'], (items) => {
-    console.log('Chart loaded?', typeof Chart !== 'undefined');
-    try {
-      const visits = safeParseVisits(items.visits);
-      const ag = items.aggregates || { byDay: {}, byOrigin: {} };
-      const settings = items.settings || {};
-
-      // 1) Totals
-      let totalBytes = 0, totalCO2 = 0;
-      visits.forEach(v => {
-        totalBytes += num(v.transferBytes || v.bytes || 0);
-        totalCO2 += num(v.estimatedCO2_g || v.co2 || 0);
-      });
+  const filter = readFilter();
+  const bounds = filterBounds(filter);
+  chrome.storage.local.get(['aggregates', 'settings', 'syncStatus'], (items) => {
+    const origins = Object.keys((items.aggregates && items.aggregates.byOrigin) || {}).sort();
+    syncFilterControls(filter, origins);
+    loadVisits({ from: bounds.from, to: bounds.to, origin: filter.origin || undefined })
+      .then(visits => render(items, visits.filter(v => matchesText(v, filter.q)), bounds));
+  });
+  // budgets always track the current day/week/month, independent of the filter
+  chrome.runtime.sendMessage({ type: 'budget-status' }, (resp) => {
+    GreenBudgets.renderBars(document.getElementById('budgets'), (resp && resp.budgets) || []);
+  });
+}
 
-      const co2El = document.querySelector('.total-item.co2-saved .value');
-      if (co2El) co2El.textContent = `${totalCO2.toFixed(3)} g`;
-      const visitsEl = document.querySelector('.total-item.visits-count .value');
-      if (visitsEl) visitsEl.textContent = `${visits.length}`;
-      const dataEl = document.querySelector('.total-item.data-transferred .value');
-      if (dataEl) dataEl.textContent = `${formatKB(totalBytes)} KB`;
-
-      // 2) Build aggregates.byDay if missing
-      if (!ag.byDay || Object.keys(ag.byDay).length === 0) {
-        ag.byDay = {};
-        visits.forEach(v => {
-          const day = (v.ts || '').slice(0,10) || new Date().toISOString().slice(0,10);
-          ag.byDay[day] = ag.byDay[day] || { co2: 0, bytes: 0, visits: 0 };
-          ag.byDay[day].co2 += num(v.estimatedCO2_g || v.co2 || 0);
-          ag.byDay[day].bytes += num(v.transferBytes || v.bytes || 0);
-          ag.byDay[day].visits += 1;
-        });
-      }
+function render(items, visits, bounds) {
+  console.log('Chart loaded?', typeof Chart !== 'undefined');
+  try {
+    const ag = items.aggregates || { byDay: {}, byOrigin: {} };
+    const settings = GreenSettings.normalize(items.settings).settings;
+
+    // 1) Totals
+    let totalBytes = 0, totalCO2 = 0;
+    visits.forEach(v => {
+      totalBytes += num(v.transferBytes || v.bytes || 0);
+      totalCO2 += num(v.estimatedCO2_g || v.co2 || 0);
+    });
+
+    const co2El = document.querySelector('.total-item.co2-saved .value');
+    if (co2El) co2El.textContent = `${totalCO2.toFixed(3)} g`;
+    const visitsEl = document.querySelector('.total-item.visits-count .value');
+    if (visitsEl) visitsEl.textContent = `${visits.length}`;
+    const dataEl = document.querySelector('.total-item.data-transferred .value');
+    if (dataEl) dataEl.textContent = `${formatKB(totalBytes)} KB`;
+
+    renderEcoTotals(visits, settings);
+    renderSyncStatus(items.syncStatus, settings);
+    renderEnergySplit(visits);
+    renderMediaTotals(visits);
+
+    // 2) Per-day totals for the filtered visits
+    const byDay = {};
+    visits.forEach(v => {
+      const day = (v.ts || '').slice(0,10) || new Date().toISOString().slice(0,10);
+      byDay[day] = byDay[day] || { co2: 0, bytes: 0, visits: 0 };
+      byDay[day].co2 += num(v.estimatedCO2_g || v.co2 || 0);
+      byDay[day].bytes += num(v.transferBytes || v.bytes || 0);
+      byDay[day].visits += 1;
+    });
+
+    // --- 3) Chart: Footprint Trend over the filtered date range ---
+    try {
+      const firstDay = bounds.from ? bounds.from.slice(0, 10) : (Object.keys(byDay).sort()[0] || todayIso());
+      const daysArr = daysBetween(firstDay, bounds.to ? bounds.to.slice(0, 10) : todayIso());
 
-      // --- 3) Chart: Robust 7-day Footprint Trend ---
-      try {
-        const N = 7;
-        const daysArr = [];
-        const today = new Date();
-        for (let i = N - 1; i >= 0; --i) {
-          const d = new Date(today);
-          d.setDate(today.getDate() - i);
-          const iso = d.toISOString().slice(0, 10);
-          daysArr.push(iso);
+      const canvas = document.getElementById('visitsChart');
+      if (!canvas) {
+        console.warn('visitsChart canvas not found — skipping chart render');
+      } else {
+        // ensure visible area
+        const parent = canvas.parentElement;
+        if (parent) {
+          parent.style.minHeight = parent.style.minHeight || '180px';
         }
+        canvas.style.height = canvas.style.height || '180px';
 
-        const canvas = document.getElementById('visitsChart');
-        if (!canvas) {
-          console.warn('visitsChart canvas not found — skipping chart render');
-        } else {
-          // ensure visible area
-          const parent = canvas.parentElement;
+        if (typeof Chart === 'undefined') {
+          console.warn('Chart.js is not loaded. Chart will not render.');
           if (parent) {
-            parent.style.minHeight = parent.style.minHeight || '180px';
+            parent.querySelector('.chart-placeholder')?.remove();
+            const ph = document.createElement('div');
+            ph.className = 'chart-placeholder';
+            ph.style.padding = '20px';
+            ph.style.color = '#777';
+            ph.textContent = 'Chart.js not loaded — check network or include CDN.';
+            parent.appendChild(ph);
           }
-          canvas.style.height = canvas.style.height || '180px';
-
-          if (typeof Chart === 'undefined') {
-            console.warn('Chart.js is not loaded. Chart will not render.');
-            if (parent) {
-              parent.querySelector('.chart-placeholder')?.remove();
-              const ph = document.createElement('div');
-              ph.className = 'chart-placeholder';
-              ph.style.padding = '20px';
-              ph.style.color = '#777';
-              ph.textContent = 'Chart.js not loaded — check network or include CDN.';
-              parent.appendChild(ph);
-            }
-          } else {
-            // build co2 array for the last N days (zeros if missing)
-            const co2PerDay = daysArr.map(day => {
-              return Number((ag.byDay && ag.byDay[day] && Number(ag.byDay[day].co2)) || 0);
-            });
-
-            // remove any placeholder
-            const parentEl = canvas.parentElement;
-            parentEl && parentEl.querySelector('.chart-placeholder')?.remove();
-
-            // destroy old chart safely
-            if (window._visChart) {
-              try { window._visChart.destroy(); } catch (e) { /* ignore */ }
-            }
+        } else {
+          // build co2 array for every day in range (zeros if missing)
+          const co2PerDay = daysArr.map(day => {
+            return Number((byDay[day] && Number(byDay[day].co2)) || 0);
+          });
+
+          // remove any placeholder
+          const parentEl = canvas.parentElement;
+          parentEl && parentEl.querySelector('.chart-placeholder')?.remove();
 
-            window._visChart = new Chart(canvas.getContext('2d'), {
-              type: 'bar',
-              data: {
-                labels: daysArr,
-                datasets: [{
-                  label: 'CO₂ (g) per day',
-                  data: co2PerDay,
-                  backgroundColor: '#2ecc71',
-                  borderColor: '#27ae60',
-                  borderWidth: 1,
-                  borderRadius: 4,
-                  datalabels: {
+          // destroy old chart safely
+          if (window._visChart) {
+            try { window._visChart.destroy(); } catch (e) { /* ignore */ }
+          }
+
+          window._visChart = new Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+              labels: daysArr,
+              datasets: [{
+                label: 'CO₂ (g) per day',
+                data: co2PerDay,
+                backgroundColor: '#2ecc71',
+                borderColor: '#27ae60',
+                borderWidth: 1,
+                borderRadius: 4,
+                datalabels: {
+                  color: '#27ae60',
+                  font: { weight: 'bold', size: 14 }
+                }
+              }]
+            },
+            options: {
+              responsive: true,
+              maintainAspectRatio: false,
+              scales: {
+                y: {
+                  beginAtZero: true,
+                  ticks: {
                     color: '#27ae60',
                     font: { weight: 'bold', size: 14 }
                   }
-                }]
-              },
-              options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                scales: {
-                  y: {
-                    beginAtZero: true,
-                    ticks: {
-                      color: '#27ae60',
-                      font: { weight: 'bold', size: 14 }
-                    }
-                  },
-                  x: {
-                    display: true,
-                    ticks: {
-                      color: '#27ae60',
-                      font: { weight: 'bold', size: 14 }
-                    }
-                  }
                 },
-                plugins: {
-                  legend: { display: false },
-                  title: { display: false }
+                x: {
+                  display: true,
+                  ticks: {
+                    color: '#27ae60',
+                    font: { weight: 'bold', size: 14 }
+                  }
                 }
+              },
+              plugins: {
+                legend: { display: false },
+                title: { display: false }
               }
-            });
-          }
+            }
+          });
         }
-      } catch (chartErr) {
-        console.error('Chart rendering error:', chartErr);
       }
+    } catch (chartErr) {
+      console.error('Chart rendering error:', chartErr);
+    }
 
-      // 4) Top Sites (build byOrigin if missing)
-      if (!ag.byOrigin || Object.keys(ag.byOrigin).length === 0) {
-        ag.byOrigin = {};
-        visits.forEach(v => {
-          const origin = v.origin || v.host || 'unknown';
-          ag.byOrigin[origin] = ag.byOrigin[origin] || { visits: 0, bytes: 0, co2: 0 };
-          ag.byOrigin[origin].visits += 1;
-          ag.byOrigin[origin].bytes += num(v.transferBytes || v.bytes || 0);
-          ag.byOrigin[origin].co2 += num(v.estimatedCO2_g || v.co2 || 0);
-        });
-      }
+    // 3b) Page weight breakdown by content type and party
+    try {
+      renderBreakdown(visits);
+    } catch (chartErr) {
+      console.error('Breakdown rendering error:', chartErr);
+    }
 
-      const byOrigin = Object.entries(ag.byOrigin).sort((a,b) => (b[1].bytes||0) - (a[1].bytes||0));
-      const top = byOrigin.slice(0, 10);
-      const ul = document.getElementById('topSites');
-      if (ul) {
-        ul.innerHTML = '';
-        if (top.length === 0) {
-          ul.innerHTML = '<li class="placeholder">Browse to see data here.</li>';
-        } else {
-          const maxCO2 = num(top[0][1].co2, 1);
-          top.forEach(([origin, val]) => {
-            const co2Value = num(val.co2, 0);
-            const barWidth = (maxCO2 > 0) ? (co2Value / maxCO2) * 100 : 0;
-            const li = document.createElement('li');
-            li.className = 'top-site-item';
-            li.innerHTML = `
-              <div class="site-row">
-                <div class="site-name">${origin}</div>
-                <div class="co2-value">${co2Value.toFixed(4)} g</div>
-              </div>
-              <div class="data-bar-wrapper"><div class="data-bar" style="width:${barWidth.toFixed(1)}%"></div></div>
-            `;
-            ul.appendChild(li);
-          });
-        }
+    // 4) Top Sites for the filtered visits
+    const originTotals = {};
+    visits.forEach(v => {
+      const origin = v.origin || v.host || 'unknown';
+      originTotals[origin] = originTotals[origin] || { visits: 0, bytes: 0, co2: 0 };
+      originTotals[origin].visits += 1;
+      originTotals[origin].bytes += num(v.transferBytes || v.bytes || 0);
+      originTotals[origin].co2 += num(v.estimatedCO2_g || v.co2 || 0);
+    });
+
+    const byOrigin = Object.entries(originTotals).sort((a,b) => (b[1].bytes||0) - (a[1].bytes||0));
+    const top = byOrigin.slice(0, 10);
+    const ul = document.getElementById('topSites');
+    if (ul) {
+      ul.innerHTML = '';
+      if (top.length === 0) {
+        ul.innerHTML = '<li class="placeholder">Browse to see data here.</li>';
       } else {
-        console.warn('#topSites element not found');
+        const maxCO2 = num(top[0][1].co2, 1);
+        top.forEach(([origin, val]) => {
+          const co2Value = num(val.co2, 0);
+          const barWidth = (maxCO2 > 0) ? (co2Value / maxCO2) * 100 : 0;
+          const li = document.createElement('li');
+          li.className = 'top-site-item';
+          // origins can come from an imported CSV: text only, never markup
+          li.innerHTML = `
+            <div class="site-row">
+              <div class="site-name"></div>
+              <div class="co2-value">${co2Value.toFixed(4)} g</div>
+            </div>
+            <div class="data-bar-wrapper"><div class="data-bar" style="width:${barWidth.toFixed(1)}%"></div></div>
+          `;
+          li.querySelector('.site-name').textContent = origin;
+          ul.appendChild(li);
+        });
       }
+    } else {
+      console.warn('#topSites element not found');
+    }
 
-      // 5) Recent Visits table
-      const tbody = document.querySelector('#visitsTable tbody');
-      if (tbody) {
-        tbody.innerHTML = '';
-        const recentVisits = visits.slice().reverse().slice(0, 50);
-        if (recentVisits.length === 0) {
-          tbody.innerHTML = `<tr><td colspan="4" class="no-data">No recent visits recorded.</td></tr>`;
-        } else {
-          recentVisits.forEach(v => {
-            const rowTs = new Date(v.ts || v.date || Date.now()).toLocaleString();
-            const origin = v.origin || v.host || 'unknown';
-            const bytesKB = formatKB(num(v.transferBytes || v.bytes || 0));
-            const co2 = num(v.estimatedCO2_g || v.co2 || 0).toFixed(4);
-            const tr = document.createElement('tr');
-            tr.innerHTML = `
-              <td>${rowTs}</td>
-              <td>${origin}</td>
-              <td>${bytesKB} KB</td>
-              <td>${co2}</td>
-            `;
-            tbody.appendChild(tr);
-          });
-        }
+    // 4b) Third-party hosts across all sites
+    if (!ag.byThirdParty) ag.byThirdParty = buildThirdParties(visits);
+    renderThirdParties(ag.byThirdParty);
+    lastThirdParties = ag.byThirdParty;
+
+    renderCacheSavings(visits);
+    renderOpportunities(visits);
+
+    // 5) Recent Visits table
+    const tbody = document.querySelector('#visitsTable tbody');
+    if (tbody) {
+      tbody.innerHTML = '';
+      const recentVisits = visits.slice().reverse().slice(0, TABLE_ROWS);
+      const countEl = document.getElementById('visitsCount');
+      if (countEl) countEl.textContent = `Showing ${recentVisits.length} of ${visits.length} matching visits`;
+      if (recentVisits.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="4" class="no-data">No visits match the current filter.</td></tr>`;
       } else {
-        console.warn('#visitsTable tbody not found');
+        recentVisits.forEach(v => {
+          const rowTs = new Date(v.ts || v.date || Date.now()).toLocaleString();
+          const origin = v.origin || v.host || 'unknown';
+          const bytesKB = formatKB(num(v.transferBytes || v.bytes || 0));
+          const co2 = num(v.estimatedCO2_g || v.co2 || 0).toFixed(4);
+          // visits whose bytes are partly or wholly typical sizes (see mergeNetworkBytes)
+          const tr = document.createElement('tr');
+          [rowTs, origin, `${bytesKB} KB`, co2].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+          });
+          if (v.bytesQuality === 'estimated' || v.bytesQuality === 'mixed') {
+            const mark = document.createElement('span');
+            mark.className = 'bytes-quality';
+            mark.title = `${v.bytesQuality === 'mixed' ? 'Partly estimated' : 'Estimated'}: some response sizes were not visible to the browser`;
+            mark.textContent = '~';
+            tr.children[2].append(' ', mark);
+          }
+          tbody.appendChild(tr);
+        });
       }
-
-    } catch (err) {
-      console.error('refresh() internal error:', err);
+    } else {
+      console.warn('#visitsTable tbody not found');
     }
-  });
+
+  } catch (err) {
+    console.error('refresh() internal error:', err);
+  }
 }
 
 // --- Export CSV handler ---
 function exportCSV() {
   chrome.runtime.sendMessage({ type: 'export-csv' }, (resp) => {
     if (resp && resp.csv) {
-      const blob = new Blob([resp.csv], { type: 'text/csv' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'visits.csv';
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      URL.revokeObjectURL(url);
+      downloadBlob(new Blob([resp.csv], { type: 'text/csv' }), 'visits.csv');
     } else {
       alert('No data available to export.');
     }
   });
 }
 
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// --- Backup / restore / CSV import handlers ---
+function backupData() {
+  chrome.runtime.sendMessage({ type: 'export-backup' }, (resp) => {
+    if (!resp || !resp.backup) return alert('Backup failed.');
+    const day = new Date().toISOString().slice(0, 10);
+    downloadBlob(new Blob([JSON.stringify(resp.backup)], { type: 'application/json' }), `green-browsing-backup-${day}.json`);
+  });
+}
+
+function readFile(input, onText) {
+  const file = input.files && input.files[0];
+  input.value = '';
+  if (!file) return;
+  file.text().then(onText).catch(e => alert(`Could not read ${file.name}: ${e.message}`));
+}
+
+function restoreData(e) {
+  readFile(e.target, (text) => {
+    let backup;
+    try { backup = JSON.parse(text); } catch (err) { return alert('Not a valid JSON backup file.'); }
+    const count = Array.isArray(backup.visits) ? backup.visits.length : 0;
+    if (!confirm(`Replace all stored data and settings with this backup (${count} visits)? This cannot be undone.`)) return;
+    chrome.runtime.sendMessage({ type: 'restore-backup', backup }, (resp) => {
+      if (!resp || resp.error) return alert(`Restore failed: ${resp ? resp.error : 'no response'}`);
+      alert(`Restored ${resp.restored} visits.`);
+      refresh();
+    });
+  });
+}
+
+function importCsv(e) {
+  readFile(e.target, (csv) => {
+    chrome.runtime.sendMessage({ type: 'import-csv', csv }, (resp) => {
+      if (!resp || resp.error) return alert(`Import failed: ${resp ? resp.error : 'no response'}`);
+      alert(`Imported ${resp.imported} visits (${resp.skipped} duplicates skipped).`);
+      refresh();
+    });
+  });
+}
+
 // --- Clear data handler ---
 function clearData() {
   if (!confirm('Clear stored data? This cannot be undone.')) return;
-  chrome.storage.local.set({ visits: [], aggregates: { byOrigin: {}, byDay: {} } }, () => {
+  chrome.runtime.sendMessage({ type: 'clear-data' }, () => {
     refresh();
   });
 }
 
+// --- Sync now handler ---
+function syncNow() {
+  chrome.runtime.sendMessage({ type: 'sync-now' }, () => refresh());
+}
+
 // --- Open options page ---
 function openOptions() {
   chrome.tabs.create({ url: chrome.runtime.getURL('options.html') });
@@ -268,9 +794,48 @@ document.addEventListener('DOMContentLoaded', () => {
   const exportBtn = document.getElementById('exportCsv');
   if (exportBtn) exportBtn.addEventListener('click', exportCSV);
 
+  const backupBtn = document.getElementById('backupData');
+  if (backupBtn) backupBtn.addEventListener('click', backupData);
+
+  const restoreInput = document.getElementById('restoreFile');
+  const restoreBtn = document.getElementById('restoreData');
+  if (restoreBtn && restoreInput) {
+    restoreBtn.addEventListener('click', () => restoreInput.click());
+    restoreInput.addEventListener('change', restoreData);
+  }
+
+  const importInput = document.getElementById('importCsvFile');
+  const importBtn = document.getElementById('importCsv');
+  if (importBtn && importInput) {
+    importBtn.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', importCsv);
+  }
+
   const clearBtn = document.getElementById('clearData');
   if (clearBtn) clearBtn.addEventListener('click', clearData);
 
+  ['filterRange', 'filterFrom', 'filterTo', 'filterOrigin'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('change', onFilterChange);
+  });
+  const textEl = document.getElementById('filterText');
+  let textTimer = null;
+  if (textEl) {
+    textEl.addEventListener('input', () => {
+      clearTimeout(textTimer);
+      textTimer = setTimeout(onFilterChange, 250);
+    });
+  }
+  const resetEl = document.getElementById('filterReset');
+  if (resetEl) resetEl.addEventListener('click', () => { writeFilter(FILTER_DEFAULTS); refresh(); });
+  window.addEventListener('hashchange', () => refresh());
+
+  const tpSort = document.getElementById('thirdPartySort');
+  if (tpSort) tpSort.addEventListener('change', () => renderThirdParties(lastThirdParties));
+
+  const syncBtn = document.getElementById('syncNow');
+  if (syncBtn) syncBtn.addEventListener('click', syncNow);
+
   const optionsBtn = document.getElementById('openOptions');
   if (optionsBtn) optionsBtn.addEventListener('click', openOptions);
 
@@ -285,7 +850,7 @@ setInterval(() => {
 // live update when storage changes (more responsive than polling alone)
 if (chrome && chrome.storage && chrome.storage.onChanged) {
   chrome.storage.onChanged.addListener((changes, area) => {
-    if (area === 'local' && (changes.visits || changes.aggregates || changes.settings)) {
+    if (area === 'local' && (changes.aggregates || changes.settings || changes.syncStatus)) {
       try { refresh(); } catch (e) { console.error(e); }
     }
   });
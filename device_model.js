@@ -0,0 +1,59 @@
+// device_model.js
+// Energy used on the user's own machine while a page is open, next to the network and
+// data-centre energy that emissions_model.js derives from bytes. The service worker stores
+// it on each visit as `device` and recomputes it as session deltas arrive.
+//
+//   energy = screen_W × active time (tab visible and focused)
+//          + cpu_W    × long-task time (main thread busy > 50 ms at a time)
+//          + background_W × time open in a hidden tab
+//
+// Wattages are the share attributable to one page, not whole-device power: the screen and
+// base system while you look at it, the extra draw of a busy CPU core, and the small cost
+// of a background tab's timers and memory.
+
+(function (root) {
+  const PROFILES = {
+    laptop: { label: 'Laptop', screen_W: 10, cpu_W: 15, background_W: 0.3 },
+    desktop: { label: 'Desktop with monitor', screen_W: 60, cpu_W: 40, background_W: 1 },
+    phone: { label: 'Phone or tablet', screen_W: 2, cpu_W: 3, background_W: 0.05 }
+  };
+  const J_PER_KWH = 3.6e6;
+
+  // The selected profile, or the custom wattages from settings.
+  function profileOf(settings = {}) {
+    if (settings.deviceProfile === 'custom') {
+      return {
+        id: 'custom',
+        label: 'Custom',
+        screen_W: Number(settings.deviceScreen_W) || 0,
+        cpu_W: Number(settings.deviceCpu_W) || 0,
+        background_W: Number(settings.deviceBackground_W) || 0
+      };
+    }
+    const id = PROFILES[settings.deviceProfile] ? settings.deviceProfile : 'laptop';
+    return Object.assign({ id }, PROFILES[id]);
+  }
+
+  /**
+   * Device energy for a visit's usage { activeTime_s, backgroundTime_s, longTaskMs }.
+   * Returns { profile, energy_kWh, parts_kWh: { screen, cpu, background }, estimatedCO2_g },
+   * with CO2 at `gridIntensity` g/kWh (the user's own grid).
+   */
+  function estimate(usage = {}, settings = {}, gridIntensity = 0) {
+    const p = profileOf(settings);
+    const parts_kWh = {
+      screen: p.screen_W * Math.max(0, Number(usage.activeTime_s) || 0) / J_PER_KWH,
+      cpu: p.cpu_W * Math.max(0, Number(usage.longTaskMs) || 0) / 1000 / J_PER_KWH,
+      background: p.background_W * Math.max(0, Number(usage.backgroundTime_s) || 0) / J_PER_KWH
+    };
+    const energy_kWh = parts_kWh.screen + parts_kWh.cpu + parts_kWh.background;
+    return {
+      profile: p.id,
+      energy_kWh,
+      parts_kWh,
+      estimatedCO2_g: energy_kWh * (Number(gridIntensity) || 0)
+    };
+  }
+
+  root.GreenDevice = { PROFILES, profileOf, estimate };
+})(typeof self !== 'undefined' ? self : this);
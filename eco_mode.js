@@ -0,0 +1,91 @@
+// eco_mode.js
+// Opt-in eco mode: the extension acts on pages instead of only measuring them. Shared by the
+// content script (video and image interventions), the service worker (declarativeNetRequest
+// blocklist, pricing what was avoided) and the popup (per-site toggle).
+//
+// A visit's `eco` section:
+//   { byKind: { autoplay: { count, bytes }, offscreen_video, lazy_images, blocked_requests },
+//     avoidedBytes, avoidedCO2_g }   (the last two are added by the service worker)
+// Video savings come from media_model.js bitrates; lazy images and blocked requests are
+// counted here and sized by the service worker with its typical per-request bytes.
+
+(function (root) {
+  const KINDS = {
+    autoplay: 'Autoplay paused',
+    offscreen_video: 'Offscreen video paused',
+    lazy_images: 'Images lazy-loaded',
+    blocked_requests: 'Heavy third parties blocked'
+  };
+
+  // curated ad, tracking and recommendation hosts that are heavy for what they show
+  // (subdomains included)
+  const BLOCKLIST = [
+    'doubleclick.net',
+    'googlesyndication.com',
+    'googleadservices.com',
+    'adservice.google.com',
+    'amazon-adsystem.com',
+    'adnxs.com',
+    'criteo.com',
+    'criteo.net',
+    'taboola.com',
+    'outbrain.com',
+    'rubiconproject.com',
+    'pubmatic.com',
+    'moatads.com',
+    'scorecardresearch.com',
+    'quantserve.com',
+    'hotjar.com'
+  ];
+  const RULE_ID = 1;
+  const BLOCKED_TYPES = ['script', 'image', 'sub_frame', 'xmlhttprequest', 'media', 'ping', 'other'];
+
+  // eco mode is on for this page (a URL or host)
+  function enabledFor(target, settings) {
+    const s = settings || {};
+    return !!s.ecoMode && !(root.GreenSiteRules && root.GreenSiteRules.firstMatch(s.ecoExcludedSites, target));
+  }
+
+  function isBlockedHost(host) {
+    const h = String(host || '').toLowerCase();
+    return BLOCKLIST.some(b => h === b || h.endsWith('.' + b));
+  }
+
+  // declarativeNetRequest rules for the settings; plain hosts on the exclusion list become
+  // excluded initiators (wildcard and path patterns can't be expressed there)
+  function blockRules(settings) {
+    const s = settings || {};
+    if (!s.ecoMode || !s.ecoBlockHeavyHosts) return [];
+    const condition = { requestDomains: BLOCKLIST, domainType: 'thirdParty', resourceTypes: BLOCKED_TYPES };
+    const excluded = (s.ecoExcludedSites || [])
+      .map(p => String(p).replace(/^\*\./, ''))
+      .filter(p => /^[a-z0-9.-]+$/.test(p));
+    if (excluded.length) condition.excludedInitiatorDomains = excluded;
+    return [{ id: RULE_ID, priority: 1, action: { type: 'block' }, condition }];
+  }
+
+  function emptyEco() {
+    return { byKind: {} };
+  }
+
+  // Adds `add` into `into` (both eco sections); returns `into`.
+  function addEco(into, add) {
+    into.byKind = into.byKind || {};
+    Object.entries((add && add.byKind) || {}).forEach(([kind, k]) => {
+      const t = into.byKind[kind] = into.byKind[kind] || { count: 0, bytes: 0 };
+      t.count += Number(k.count || 0);
+      t.bytes += Number(k.bytes || 0);
+    });
+    return into;
+  }
+
+  function addIntervention(eco, kind, count, bytes = 0) {
+    return addEco(eco, { byKind: { [kind]: { count, bytes } } });
+  }
+
+  function hasInterventions(eco) {
+    return !!eco && Object.values(eco.byKind || {}).some(k => k.count > 0 || k.bytes > 0);
+  }
+
+  root.GreenEco = { KINDS, BLOCKLIST, RULE_ID, enabledFor, isBlockedHost, blockRules, emptyEco, addEco, addIntervention, hasInterventions };
+})(typeof self !== 'undefined' ? self : this);
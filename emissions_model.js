@@ -0,0 +1,128 @@
+// emissions_model.js
+// Pluggable emissions models shared by the service worker (importScripts), the content script
+// (listed before content_script.js in manifest.json) and the extension pages (<script> tag).
+// Every model turns transferred bytes into energy (kWh) and CO2 (g) and reports its id/version
+// so stored visits stay explainable after defaults or constants change.
+
+(function (root) {
+  const BYTES_PER_GB = 1e9;
+  const MJ_PER_KWH = 3.6e9; // 1 kWh = 3.6e6 J = 3.6e9 mJ
+  const GLOBAL_GRID_INTENSITY = 442; // gCO2/kWh, global average used by SWD v3
+
+  function safeNum(v, fallback = 0) {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : fallback;
+  }
+
+  // ---------- Sustainable Web Design (v3) ----------
+  // 0.81 kWh/GB split over data centre, network, user device and (embodied) production.
+  // Returning visitors are assumed to reload only 2% of the page weight.
+  const SWD = {
+    KWH_PER_GB: 0.81,
+    SEGMENTS: { dataCentre: 0.15, network: 0.14, device: 0.52, production: 0.19 },
+    FIRST_TIME_VIEWING_PERCENTAGE: 0.75,
+    RETURNING_VISITOR_PERCENTAGE: 0.25,
+    PERCENTAGE_OF_DATA_LOADED_ON_SUBSEQUENT_LOAD: 0.02
+  };
+
+  // ---------- OneByte (The Shift Project) ----------
+  // Per-byte energy for the data centre and an average of wired/wifi/mobile networks.
+  // Device energy is excluded, as in the original model.
+  const ONEBYTE = {
+    KWH_PER_BYTE_IN_DC: 7.2e-11,
+    KWH_PER_BYTE_FOR_NETWORK: (4.29e-10 + 1.52e-10 + 8.84e-10) / 3
+  };
+
+  const MODELS = {
+    swd: {
+      id: 'swd',
+      version: '3.0.0',
+      label: 'Sustainable Web Design',
+      // opts.visitType: 'first' | 'returning'; opts.visitMode: 'measured' | 'firstVsReturning'
+      estimate(bytes, opts = {}) {
+        let effectiveBytes = bytes;
+        if (opts.visitMode === 'firstVsReturning' && opts.visitType === 'returning') {
+          effectiveBytes = bytes * SWD.PERCENTAGE_OF_DATA_LOADED_ON_SUBSEQUENT_LOAD;
+        }
+        const totalKWh = (effectiveBytes / BYTES_PER_GB) * SWD.KWH_PER_GB;
+        const segments = {};
+        Object.keys(SWD.SEGMENTS).forEach(k => { segments[k] = totalKWh * SWD.SEGMENTS[k]; });
+        return { energy_kWh: totalKWh, segments_kWh: segments };
+      }
+    },
+    onebyte: {
+      id: 'onebyte',
+      version: '1.0.0',
+      label: 'OneByte (The Shift Project)',
+      estimate(bytes) {
+        const dataCentre = bytes * ONEBYTE.KWH_PER_BYTE_IN_DC;
+        const network = bytes * ONEBYTE.KWH_PER_BYTE_FOR_NETWORK;
+        return { energy_kWh: dataCentre + network, segments_kWh: { dataCentre, network } };
+      }
+    },
+    // Legacy flat factors (energyFactor_mJ_per_byte / co2Factor_g_per_byte) kept for old data.
+    linear: {
+      id: 'linear',
+      version: '1.0.0',
+      label: 'Flat per-byte factor (legacy)',
+      estimate(bytes, opts = {}) {
+        const energy_mJ = bytes * safeNum(opts.energyFactor_mJ_per_byte, 1e-6);
+        return {
+          energy_kWh: energy_mJ / MJ_PER_KWH,
+          segments_kWh: {},
+          co2_g: bytes * safeNum(opts.co2Factor_g_per_byte, 1e-6)
+        };
+      }
+    }
+  };
+
+  const DEFAULT_MODEL = 'swd';
+
+  function getModel(id) {
+    return MODELS[id] || MODELS[DEFAULT_MODEL];
+  }
+
+  function listModels() {
+    return Object.values(MODELS).map(m => ({ id: m.id, version: m.version, label: m.label }));
+  }
+
+  /**
+   * Estimate energy and CO2 for a number of transferred bytes.
+   * settings: the extension settings object (emissionsModel, swdVisitMode, legacy factors).
+   * opts: per-visit context ({ visitType, gridIntensity_g_per_kWh }).
+   * Returns { estimatedEnergy_mJ, estimatedCO2_g, emissions: { model, version, ... } }.
+   */
+  function estimate(bytes, settings = {}, opts = {}) {
+    const b = Math.max(0, safeNum(bytes, 0));
+    const model = getModel(settings.emissionsModel);
+    const intensity = safeNum(opts.gridIntensity_g_per_kWh, GLOBAL_GRID_INTENSITY);
+    const out = model.estimate(b, Object.assign({}, settings, { visitMode: settings.swdVisitMode }, opts));
+    const co2 = (typeof out.co2_g === 'number') ? out.co2_g : out.energy_kWh * intensity;
+    const emissions = {
+      model: model.id,
+      version: model.version,
+      gridIntensity_g_per_kWh: (typeof out.co2_g === 'number') ? null : intensity,
+      energy_kWh: out.energy_kWh,
+      segments_kWh: out.segments_kWh
+    };
+    if (model.id === 'swd') {
+      emissions.visitType = opts.visitType || 'first';
+      emissions.visitMode = settings.swdVisitMode || 'measured';
+    }
+    return {
+      estimatedEnergy_mJ: safeNum(out.energy_kWh * MJ_PER_KWH, 0),
+      estimatedCO2_g: safeNum(co2, 0),
+      emissions
+    };
+  }
+
+  root.GreenEmissions = {
+    MODELS,
+    DEFAULT_MODEL,
+    GLOBAL_GRID_INTENSITY,
+    MJ_PER_KWH,
+    getModel,
+    listModels,
+    estimate
+  };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,71 @@
+// media_model.js
+// Streaming estimate for <video>/<audio> playback. MSE players fetch segments in ways Resource
+// Timing often can't size, so data is estimated from play time and rendered resolution with
+// typical streaming bitrates instead. Used by the content script (sampling), the service
+// worker (merging into visits) and the dashboard (totals).
+//
+// A visit's `media` section:
+//   { playTime_s, visibleTime_s, audioTime_s, bytes, maxHeight, elements,
+//     byResolution: { '1080p': { seconds, bytes }, audio: {...} },
+//     energy_kWh, estimatedCO2_g }   (the last two are added by the service worker)
+// It is kept apart from transferBytes/estimatedCO2_g: segments that were visible to
+// Resource Timing or webRequest are already counted there.
+
+(function (root) {
+  // typical adaptive-streaming bitrates in kbit/s (video incl. its audio track)
+  const BITRATES_KBPS = {
+    '144p': 150,
+    '240p': 400,
+    '360p': 750,
+    '480p': 1200,
+    '720p': 2500,
+    '1080p': 5000,
+    '1440p': 9000,
+    '2160p': 16000,
+    audio: 160
+  };
+  const HEIGHTS = [144, 240, 360, 480, 720, 1080, 1440, 2160];
+
+  // Resolution bucket from the rendered frame size; the shorter side, so portrait video
+  // (1080x1920) counts as 1080p. Returns 'audio' when there is no video frame.
+  function resolutionOf(width, height) {
+    const side = Math.min(Number(width) || 0, Number(height) || 0);
+    if (!side) return 'audio';
+    let bucket = HEIGHTS[0];
+    HEIGHTS.forEach(h => { if (side >= h * 0.9) bucket = h; });
+    return bucket + 'p';
+  }
+
+  // Bytes streamed for `seconds` of wall-clock playback at `rate` (2x playback fetches twice
+  // as much media per second).
+  function estimateBytes(resolution, seconds, rate = 1) {
+    const kbps = BITRATES_KBPS[resolution] || BITRATES_KBPS['480p'];
+    return Math.round(kbps * 1000 / 8 * Math.max(0, seconds) * Math.max(0, Number(rate) || 1));
+  }
+
+  function emptyMedia() {
+    return { playTime_s: 0, visibleTime_s: 0, audioTime_s: 0, bytes: 0, maxHeight: 0, elements: 0, byResolution: {} };
+  }
+
+  // Adds `add` into `into` (both media sections); returns `into`.
+  function addMedia(into, add) {
+    if (!add) return into;
+    ['playTime_s', 'visibleTime_s', 'audioTime_s', 'bytes', 'elements'].forEach(k => {
+      into[k] = Number(into[k] || 0) + Number(add[k] || 0);
+    });
+    into.maxHeight = Math.max(Number(into.maxHeight || 0), Number(add.maxHeight || 0));
+    into.byResolution = into.byResolution || {};
+    Object.entries(add.byResolution || {}).forEach(([res, r]) => {
+      const t = into.byResolution[res] = into.byResolution[res] || { seconds: 0, bytes: 0 };
+      t.seconds += Number(r.seconds || 0);
+      t.bytes += Number(r.bytes || 0);
+    });
+    return into;
+  }
+
+  function hasPlayback(media) {
+    return !!(media && media.playTime_s > 0);
+  }
+
+  root.GreenMedia = { BITRATES_KBPS, resolutionOf, estimateBytes, emptyMedia, addMedia, hasPlayback };
+})(typeof self !== 'undefined' ? self : this);
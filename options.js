@@ -1,25 +1,346 @@
-const eInput = document.getElementById('energyFactor');
-const cInput = document.getElementById('co2Factor');
+// options.js
+// Builds the options form from GreenSettings.SECTIONS and saves edits through GreenSettings.save(),
+// which merges into the stored settings instead of replacing them.
+
+const form = document.getElementById('settingsForm');
 const status = document.getElementById('status');
 
-function load() {
-  chrome.storage.local.get(['settings'], (items) => {
-    const s = items.settings || {};
-    eInput.value = s.energyFactor_mJ_per_byte || 1e-6;
-    cInput.value = s.co2Factor_g_per_byte || 1e-6;
+function showStatus(text, isError = false) {
+  status.innerText = text;
+  status.className = isError ? 'error' : '';
+  if (!isError) setTimeout(() => { if (status.innerText === text) status.innerText = ''; }, 2000);
+}
+
+// ---------- URL privacy preview ----------
+// Shows what each privacy level would store for the current tab (the most recently used web
+// page; this options page itself is skipped) or for a URL typed into the box.
+let previewTitle = '';
+let previewSalt = null;
+
+function renderPrivacyPreview(container) {
+  const label = document.createElement('label');
+  label.className = 'field';
+  label.appendChild(document.createTextNode('Preview for: '));
+  const input = document.createElement('input');
+  input.type = 'url';
+  input.id = 'privacyPreviewUrl';
+  input.placeholder = 'https://example.com/u/someone/posts/123?ref=feed';
+  input.addEventListener('input', () => { previewTitle = ''; updatePrivacyPreview(); });
+  label.appendChild(input);
+  container.appendChild(label);
+  const table = document.createElement('table');
+  table.className = 'privacy-preview';
+  table.innerHTML = '<thead><tr><th>Level</th><th>Stored URL</th><th>Title</th></tr></thead><tbody id="privacyPreviewRows"></tbody>';
+  container.appendChild(table);
+
+  chrome.storage.local.get(['urlHashSalt'], (items) => {
+    previewSalt = items.urlHashSalt || null;
+    chrome.tabs.query({}, (tabs) => {
+      const web = (tabs || []).filter(t => /^https?:/.test(t.url || '')).sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+      if (web.length && !input.value) {
+        input.value = web[0].url;
+        previewTitle = web[0].title || '';
+      }
+      updatePrivacyPreview();
+    });
+  });
+}
+
+function updatePrivacyPreview() {
+  const rows = document.getElementById('privacyPreviewRows');
+  const url = document.getElementById('privacyPreviewUrl').value.trim();
+  const selected = form.urlPrivacy.value;
+  Promise.all(GreenPrivacy.MODES.map(mode =>
+    GreenPrivacy.sanitize({ url, title: previewTitle || null }, mode, previewSalt)
+  )).then(records => {
+    rows.innerHTML = '';
+    records.forEach((r, i) => {
+      const tr = document.createElement('tr');
+      if (GreenPrivacy.MODES[i] === selected) tr.className = 'selected';
+      [GreenPrivacy.LABELS[GreenPrivacy.MODES[i]], url ? r.url || '(not a valid URL)' : '', r.title || '—'].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      rows.appendChild(tr);
+    });
+  });
+}
+
+// ---------- Budgets editor ----------
+let budgetRows = null;
+
+function selectOf(values, current) {
+  const sel = document.createElement('select');
+  values.forEach(v => {
+    const opt = document.createElement('option');
+    opt.value = v;
+    opt.textContent = v;
+    sel.appendChild(opt);
+  });
+  sel.value = current;
+  return sel;
+}
+
+function addBudgetRow(b = { scope: 'global', period: 'daily', metric: 'co2_g', limit: 1 }) {
+  const tr = document.createElement('tr');
+  const scope = document.createElement('input');
+  scope.type = 'text';
+  scope.value = b.scope;
+  scope.className = 'b-scope';
+  const period = selectOf(GreenBudgets.PERIODS, b.period);
+  period.className = 'b-period';
+  const metric = selectOf(Object.keys(GreenBudgets.METRICS), b.metric);
+  metric.className = 'b-metric';
+  const limit = document.createElement('input');
+  limit.type = 'number';
+  limit.min = '0';
+  limit.step = 'any';
+  limit.value = b.limit;
+  limit.className = 'b-limit';
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', () => tr.remove());
+  [scope, period, metric, limit, remove].forEach(el => {
+    const td = document.createElement('td');
+    td.appendChild(el);
+    tr.appendChild(td);
+  });
+  budgetRows.appendChild(tr);
+}
+
+function renderBudgetsField(container) {
+  const help = document.createElement('p');
+  help.innerHTML = 'Scope is <code>global</code> (all sites) or an origin such as <code>www.youtube.com</code>.';
+  const table = document.createElement('table');
+  table.id = 'budgetsTable';
+  table.innerHTML = '<thead><tr><th>Scope</th><th>Period</th><th>Metric</th><th>Limit</th><th></th></tr></thead><tbody></tbody>';
+  budgetRows = table.querySelector('tbody');
+  const add = document.createElement('button');
+  add.type = 'button';
+  add.textContent = 'Add budget';
+  add.addEventListener('click', () => addBudgetRow());
+  container.appendChild(help);
+  container.appendChild(table);
+  container.appendChild(add);
+}
+
+function readBudgets() {
+  return Array.from(budgetRows.querySelectorAll('tr')).map(r => ({
+    scope: r.querySelector('.b-scope').value.trim(),
+    period: r.querySelector('.b-period').value,
+    metric: r.querySelector('.b-metric').value,
+    limit: parseFloat(r.querySelector('.b-limit').value)
+  }));
+}
+
+// ---------- Form generation ----------
+function inputFor(f) {
+  let el;
+  if (f.type === 'enum') {
+    el = document.createElement('select');
+    f.options.forEach(o => {
+      const opt = document.createElement('option');
+      opt.value = o.value;
+      opt.textContent = o.label;
+      el.appendChild(opt);
+    });
+  } else if (f.type === 'patterns') {
+    el = document.createElement('textarea');
+    el.rows = 4;
+    el.spellcheck = false;
+  } else {
+    el = document.createElement('input');
+    el.type = { number: 'number', boolean: 'checkbox', url: 'url', secret: 'password' }[f.type] || 'text';
+    if (f.type === 'number') {
+      if (f.min !== undefined) el.min = f.min;
+      if (f.max !== undefined) el.max = f.max;
+      el.step = f.step || 'any';
+    }
+    if (f.suggestions) {
+      const list = document.createElement('datalist');
+      list.id = `${f.key}-suggestions`;
+      f.suggestions.forEach(v => {
+        const opt = document.createElement('option');
+        opt.value = v;
+        list.appendChild(opt);
+      });
+      el.setAttribute('list', list.id);
+      document.body.appendChild(list);
+    }
+  }
+  el.id = f.key;
+  el.name = f.key;
+  return el;
+}
+
+function buildForm() {
+  GreenSettings.SECTIONS.forEach(sec => {
+    const fs = document.createElement('fieldset');
+    fs.id = `section-${sec.id}`;
+    const legend = document.createElement('legend');
+    legend.textContent = sec.title;
+    fs.appendChild(legend);
+    sec.fields.forEach(f => {
+      if (f.type === 'budgets') return renderBudgetsField(fs);
+      const label = document.createElement('label');
+      label.className = 'field';
+      label.appendChild(document.createTextNode(f.label + ': '));
+      const input = inputFor(f);
+      label.appendChild(input);
+      fs.appendChild(label);
+    });
+    if (sec.id === 'sync') {
+      const test = document.createElement('button');
+      test.type = 'button';
+      test.id = 'testConnection';
+      test.textContent = 'Test connection';
+      test.addEventListener('click', testConnection);
+      const result = document.createElement('span');
+      result.id = 'connectionResult';
+      fs.appendChild(test);
+      fs.appendChild(result);
+    }
+    if (sec.id === 'privacy') {
+      renderPrivacyPreview(fs);
+      const purge = document.createElement('button');
+      purge.type = 'button';
+      purge.id = 'purgeExcluded';
+      purge.textContent = 'Save and delete history of excluded sites';
+      purge.addEventListener('click', purgeExcluded);
+      const result = document.createElement('span');
+      result.id = 'purgeResult';
+      fs.appendChild(purge);
+      fs.appendChild(result);
+    }
+    form.appendChild(fs);
+  });
+  form.urlPrivacy.addEventListener('change', updatePrivacyPreview);
+  form.emissionsModel.addEventListener('change', syncDependentInputs);
+  form.syncEnabled.addEventListener('change', syncDependentInputs);
+  form.trackingScope.addEventListener('change', syncDependentInputs);
+  form.deviceProfile.addEventListener('change', syncDependentInputs);
+  form.ecoMode.addEventListener('change', syncDependentInputs);
+}
+
+function fill(settings) {
+  Object.values(GreenSettings.FIELDS).forEach(f => {
+    if (f.type === 'budgets') {
+      budgetRows.innerHTML = '';
+      GreenBudgets.normalize(settings[f.key]).forEach(b => addBudgetRow(b));
+      return;
+    }
+    const el = document.getElementById(f.key);
+    if (f.type === 'boolean') el.checked = !!settings[f.key];
+    else if (f.type === 'patterns') el.value = settings[f.key].join('\n');
+    else el.value = settings[f.key];
   });
+  syncDependentInputs();
+  updatePrivacyPreview();
+}
+
+function readForm() {
+  const patch = {};
+  Object.values(GreenSettings.FIELDS).forEach(f => {
+    const el = document.getElementById(f.key);
+    if (f.type === 'budgets') patch[f.key] = readBudgets();
+    else if (f.type === 'boolean') patch[f.key] = el.checked;
+    else if (f.type === 'number') patch[f.key] = el.value === '' ? NaN : Number(el.value);
+    else patch[f.key] = el.value;
+  });
+  return patch;
+}
+
+// legacy factors only apply to the flat per-byte model; the API key only when syncing (the
+// server URL also serves grid intensity);
+// device wattages only for the custom profile; eco options only with eco mode on
+function syncDependentInputs() {
+  const model = form.emissionsModel.value;
+  form.energyFactor_mJ_per_byte.disabled = model !== 'linear';
+  form.co2Factor_g_per_byte.disabled = model !== 'linear';
+  form.swdVisitMode.disabled = model !== 'swd';
+  form.gridRegion.disabled = model === 'linear';
+  const sync = form.syncEnabled.checked;
+  form.apiKey.disabled = !sync;
+  form.siteAllowList.disabled = form.trackingScope.value !== 'allowList';
+  const custom = form.deviceProfile.value === 'custom';
+  ['deviceScreen_W', 'deviceCpu_W', 'deviceBackground_W'].forEach(k => { form[k].disabled = !custom; });
+  const eco = form.ecoMode.checked;
+  ['ecoPauseAutoplay', 'ecoStopOffscreenVideo', 'ecoLazyImages', 'ecoBlockHeavyHosts', 'ecoExcludedSites'].forEach(k => { form[k].disabled = !eco; });
+}
+
+// ---------- Actions ----------
+function load() {
+  GreenSettings.load().then(fill);
 }
 
 function save() {
-  const s = {
-    energyFactor_mJ_per_byte: parseFloat(eInput.value),
-    co2Factor_g_per_byte: parseFloat(cInput.value)
-  };
-  chrome.storage.local.set({settings: s}, () => {
-    status.innerText = 'Saved';
-    setTimeout(() => status.innerText = '', 2000);
+  GreenSettings.save(readForm()).then(({ settings, errors }) => {
+    if (errors.length) {
+      showStatus(errors.map(e => e.message).join('\n'), true);
+      return;
+    }
+    fill(settings);
+    showStatus('Saved');
+  });
+}
+
+function resetDefaults() {
+  if (!confirm('Reset all settings (including server URL, API key and budgets) to defaults?')) return;
+  GreenSettings.reset().then(settings => {
+    fill(settings);
+    showStatus('Defaults restored');
   });
 }
 
+// Saves the lists first so the purge uses what is on screen.
+function purgeExcluded() {
+  const out = document.getElementById('purgeResult');
+  GreenSettings.save(readForm()).then(({ settings, errors }) => {
+    if (errors.length) {
+      showStatus(errors.map(e => e.message).join('\n'), true);
+      return;
+    }
+    fill(settings);
+    const where = settings.syncEnabled ? ' from this device and the sync server' : '';
+    if (!confirm(`Delete all stored visits${where} for sites that are no longer tracked?`)) return;
+    out.textContent = 'Deleting…';
+    chrome.runtime.sendMessage({ type: 'purge-excluded' }, (resp) => {
+      if (!resp || resp.error) {
+        out.textContent = `✗ ${resp ? resp.error : 'No response'}`;
+        return;
+      }
+      let text = `Deleted ${resp.removed} visits (${resp.origins.length} sites)`;
+      if (resp.server) text += `, ${resp.server.deleted} on the server`;
+      if (resp.server && resp.server.errors.length) text += `; server errors: ${resp.server.errors.join(', ')}`;
+      out.textContent = text;
+    });
+  });
+}
+
+// Calls GET <serverUrl>/health with the API key from the form (not yet saved).
+function testConnection() {
+  const out = document.getElementById('connectionResult');
+  const url = form.serverUrl.value.trim().replace(/\/$/, '');
+  const urlErr = GreenSettings.validateField(GreenSettings.FIELDS.serverUrl, url);
+  if (!url || urlErr) {
+    out.textContent = urlErr || 'Enter a server URL first';
+    return;
+  }
+  out.textContent = 'Testing…';
+  const key = form.apiKey.value;
+  fetch(url + '/health', { headers: key ? { 'x-api-key': key } : {} })
+    .then(res => {
+      if (res.ok) out.textContent = '✓ Connected';
+      else if (res.status === 401) out.textContent = '✗ Server reachable but the API key was rejected';
+      else if (res.status === 404) out.textContent = '✓ Server reachable (no /health endpoint)';
+      else out.textContent = `✗ Server answered HTTP ${res.status}`;
+    })
+    .catch(e => { out.textContent = `✗ Could not reach server: ${e.message}`; });
+}
+
+buildForm();
 document.getElementById('save').addEventListener('click', save);
-load();
\ No newline at end of file
+document.getElementById('resetDefaults').addEventListener('click', resetDefaults);
+load();
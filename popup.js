@@ -12,4 +12,81 @@ chrome.storage.local.get(['aggregates'], (items) => {
   const today = new Date().toISOString().slice(0,10);
   const day = a.byDay?.[today] || {visits:0, bytes:0, co2:0};
   document.getElementById('summary').innerHTML = `Today: ${day.visits} visits, ${(day.bytes/1024).toFixed(1)} KB, ${day.co2.toFixed(3)} g CO2`;
-});
\ No newline at end of file
+});
+
+// budget progress (computed by the service worker)
+chrome.runtime.sendMessage({ type: 'budget-status' }, (resp) => {
+  GreenBudgets.renderBars(document.getElementById('budgets'), (resp && resp.budgets) || []);
+});
+
+// sync state from the shared settings schema
+GreenSettings.load().then(settings => {
+  document.getElementById('syncLine').textContent = settings.syncEnabled
+    ? `Sync on → ${settings.serverUrl}`
+    : 'Sync off (data stays on this device)';
+});
+
+// ---------- This site: tracking state, "don't track" and history purge ----------
+function siteButton(label, onClick) {
+  const btn = document.createElement('button');
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+// eco mode is turned off per site with a pattern on ecoExcludedSites
+function ecoToggle(tab, host, settings) {
+  const on = GreenEco.enabledFor(tab.url, settings);
+  const btn = siteButton(on ? 'Eco mode off here' : 'Eco mode on here', () => {
+    const ecoExcludedSites = on
+      ? GreenSiteRules.addPattern(settings.ecoExcludedSites, host)
+      : settings.ecoExcludedSites.filter(p => !GreenSiteRules.matches(p, tab.url));
+    GreenSettings.save({ ecoExcludedSites }).then(({ errors }) => {
+      if (errors.length) { btn.textContent = errors[0].message; return; }
+      GreenSettings.load().then(s => renderSiteLine(tab, s));
+    });
+  });
+  btn.title = on ? 'Eco mode is acting on this site' : 'Eco mode is off for this site';
+  return btn;
+}
+
+function renderSiteLine(tab, settings) {
+  const line = document.getElementById('siteLine');
+  line.innerHTML = '';
+  let host = '';
+  try { host = /^https?:/.test(tab.url) ? new URL(tab.url).hostname : ''; } catch (e) {}
+  if (!host) return;
+  const rules = GreenSiteRules.decide(tab.url, settings, { incognito: tab.incognito });
+  const text = document.createElement('span');
+  line.appendChild(text);
+  if (rules.track) {
+    text.textContent = `${host}: tracked${rules.sync ? '' : ' (this device only)'} `;
+    if (settings.ecoMode) line.appendChild(ecoToggle(tab, host, settings));
+    line.appendChild(siteButton("Don't track this site", () => {
+      chrome.runtime.sendMessage({ type: 'exclude-site', host }, (resp) => {
+        if (resp && resp.error) { text.textContent = resp.error; return; }
+        GreenSettings.load().then(s => renderSiteLine(tab, s));
+      });
+    }));
+    return;
+  }
+  const why = { incognito: 'incognito window', denied: `matches "${rules.pattern}"`, not_allowed: 'not on the allow list' }[rules.reason];
+  text.textContent = `${host}: not tracked (${why}) `;
+  if (rules.reason === 'incognito') return;
+  const purge = siteButton('Delete its history', () => {
+    if (!confirm(`Delete all stored visits for ${host}${settings.syncEnabled ? ' here and on the sync server' : ''}?`)) return;
+    purge.disabled = true;
+    chrome.runtime.sendMessage({ type: 'purge-excluded', pattern: rules.pattern || host }, (resp) => {
+      if (!resp || resp.error) { text.textContent = `Purge failed: ${resp ? resp.error : 'no response'}`; return; }
+      const server = resp.server ? `, ${resp.server.deleted} on the server${resp.server.errors.length ? ' (some deletes failed)' : ''}` : '';
+      text.textContent = `${host}: not tracked. Deleted ${resp.removed} visits${server}.`;
+      purge.remove();
+    });
+  });
+  line.appendChild(purge);
+}
+
+chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+  if (!tabs || !tabs[0]) return;
+  GreenSettings.load().then(settings => renderSiteLine(tabs[0], settings));
+});
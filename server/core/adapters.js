@@ -0,0 +1,30 @@
+// server/core/adapters.js
+// Mount core handlers on Express routes or as Vercel serverless functions.
+
+function toPlainRequest(req, query) {
+  return { method: req.method, query: query || {}, headers: req.headers || {}, body: req.body, params: req.params || {} };
+}
+
+// Express: app.get('/visits', toExpress(handlers.visits))
+function toExpress(handler) {
+  return (req, res, next) => {
+    handler(toPlainRequest(req, req.query))
+      .then(({ status, body }) => res.status(status).json(body))
+      .catch(next);
+  };
+}
+
+// Vercel: export default toVercel(handlers.visits, ['GET'])
+function toVercel(handler, methods) {
+  return async (req, res) => {
+    if (methods && !methods.includes(req.method)) {
+      res.setHeader('Allow', methods.join(', '));
+      return res.status(405).json({ error: 'method not allowed' });
+    }
+    const query = req.query || Object.fromEntries(new URL(req.url, `http://${req.headers.host}`).searchParams);
+    const { status, body } = await handler(toPlainRequest(req, query));
+    return res.status(status).json(body);
+  };
+}
+
+module.exports = { toExpress, toVercel };
@@ -0,0 +1,82 @@
+// server/core/carbon_intensity.js
+// Grid carbon intensity lookup shared by both deployments.
+// Zones are region codes (US-CA, AU-NSW, ...) or countries (US); lookups fall back
+// region -> country -> global. At each level the providers (providers/) are asked in
+// priority order, so a regional value from any provider beats a national one; a provider
+// that errors is skipped and shows up in health().
+const { QueryError } = require('../query');
+const { createProviders, DEFAULT_GLOBAL } = require('./providers');
+
+// 'us_ca' -> 'US-CA'; empty -> 'GLOBAL'
+function normalizeZone(v) {
+  const z = String(v || '').trim().toUpperCase().replace(/_/g, '-');
+  if (!z) return 'GLOBAL';
+  if (!/^[A-Z]{2}(-[A-Z0-9]{1,6})*$|^GLOBAL$/.test(z)) throw new QueryError('zone must look like "US" or "US-CA"');
+  return z;
+}
+
+// ?ts= (ISO or epoch ms) or ?hour= (0-23, the zone's local hour); neither means "now" for
+// live providers and the annual average for datasets
+function parseWhen(query) {
+  if (query.ts !== undefined && query.ts !== '') {
+    const d = new Date(/^\d+$/.test(query.ts) ? Number(query.ts) : query.ts);
+    if (Number.isNaN(d.getTime())) throw new QueryError('ts must be an ISO timestamp or epoch milliseconds');
+    return { date: d };
+  }
+  if (query.hour !== undefined && query.hour !== '') {
+    const hour = Number(query.hour);
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) throw new QueryError('hour must be an integer 0-23');
+    return { hour };
+  }
+  return null;
+}
+
+/**
+ * Create the lookup for a provider chain (`providers`, or built from `env`; see providers/index.js).
+ *
+ * lookup({ zone | country, ts | hour }) resolves to
+ *   { zone, country, matchedZone, level: 'region'|'country'|'global', gCO2_per_kWh,
+ *     resolution: 'live'|'hourly_series'|'hourly_profile'|'average', localHour?, hour?,
+ *     source: <provider name>, lastUpdated }
+ * health() lists every provider with its cache and error state.
+ */
+function createCarbonIntensity({ env = process.env, fetch = globalThis.fetch, providers } = {}) {
+  let chain = providers || null;
+  const getChain = () => (chain = chain || createProviders({ env, fetch }));
+
+  async function lookup(query = {}) {
+    const zone = normalizeZone(query.zone || query.country);
+    const country = zone === 'GLOBAL' ? 'GLOBAL' : zone.slice(0, 2);
+    const when = parseWhen(query);
+
+    const levels = [];
+    if (zone !== country) levels.push([zone, 'region']);
+    if (country !== 'GLOBAL') levels.push([country, 'country']);
+    levels.push(['GLOBAL', 'global']);
+
+    for (const [code, level] of levels) {
+      for (const provider of getChain()) {
+        let result;
+        try {
+          result = await provider.get(code, when);
+        } catch (e) {
+          console.warn(`carbon-intensity: ${provider.name} failed for ${code}:`, e.message);
+          continue;
+        }
+        if (!result) continue;
+        const { value, ...detail } = result;
+        return Object.assign({ zone, country, matchedZone: code, level, gCO2_per_kWh: value }, detail, { source: provider.name });
+      }
+    }
+    return { zone, country, matchedZone: 'GLOBAL', level: 'global', gCO2_per_kWh: Number(env.DEFAULT_INTENSITY || DEFAULT_GLOBAL),
+      resolution: 'average', source: 'fallback_default', lastUpdated: null };
+  }
+
+  function health() {
+    return getChain().map(p => p.health());
+  }
+
+  return { lookup, health };
+}
+
+module.exports = { createCarbonIntensity, normalizeZone, parseWhen };
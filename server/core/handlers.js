@@ -0,0 +1,91 @@
+// server/core/handlers.js
+// Framework-agnostic API handlers. A handler takes a plain request
+// { method, query, headers, body, params } and resolves to { status, body };
+// adapters.js mounts them on Express and as Vercel functions.
+const Q = require('../query');
+const { parseIngestBody } = require('./records');
+const { createCarbonIntensity } = require('./carbon_intensity');
+const { GreenPrivacy } = require('../../url_privacy.js');
+
+/**
+ * Build the handler set.
+ *   repository: visit repository (see storage/index.js), or a function returning one so
+ *               deployments can create it lazily (carbon intensity needs no database).
+ *   env:        API_KEY (INGEST_API_KEY is accepted as an alias), URL_PRIVACY (minimum URL
+ *               privacy level for ingested records, hashed with URL_HASH_SALT; default strip)
+ *               and carbon-intensity settings.
+ *   providers:  optional carbon-intensity provider chain (default: built from env).
+ */
+function createHandlers({ repository, env = process.env, fetch = globalThis.fetch, providers } = {}) {
+  const apiKey = env.API_KEY || env.INGEST_API_KEY || null;
+  const urlPrivacy = env.URL_PRIVACY || 'strip';
+  if (!GreenPrivacy.MODES.includes(urlPrivacy)) throw new Error(`URL_PRIVACY must be one of ${GreenPrivacy.MODES.join(', ')}`);
+  const carbonIntensity = createCarbonIntensity({ env, fetch, providers });
+  const repo = () => (typeof repository === 'function' ? repository() : repository);
+
+  function authorized(req) {
+    if (!apiKey) return true;
+    return (req.headers['x-api-key'] || req.query.apiKey) === apiKey;
+  }
+
+  // Runs `fn` and maps thrown errors with a status (QueryError, RecordError) to JSON errors.
+  function handle(fn, { auth = false } = {}) {
+    return async (req) => {
+      if (auth && !authorized(req)) return { status: 401, body: { error: 'invalid api key' } };
+      try {
+        return { status: 200, body: await fn(req) };
+      } catch (e) {
+        if (e.status) return { status: e.status, body: { error: e.message } };
+        console.error(e);
+        return { status: 500, body: { error: e.message } };
+      }
+    };
+  }
+
+  return {
+    // Also lets clients verify their API key ("Test connection" in options)
+    health: handle(async () => ({ status: 'ok' }), { auth: true }),
+
+    // Single record, array or {records}; idempotent on id (a re-sent record replaces the stored one)
+    ingest: handle(async (req) => {
+      // clients apply their own level first; this only ever makes records more private
+      const records = await Promise.all(parseIngestBody(req.body).map(r => GreenPrivacy.sanitize(r, urlPrivacy, env.URL_HASH_SALT)));
+      await repo().insertVisits(records);
+      return { status: 'ok', accepted: records.length, ids: records.map(r => r.id) };
+    }, { auth: true }),
+
+    // ?from&to&origin&minBytes&q&limit&cursor, newest first with cursor pagination
+    visits: handle(async (req) => {
+      const filter = Q.parseFilter(req.query);
+      const page = Q.parsePage(req.query);
+      const { totals, data, nextCursor } = await repo().queryVisits(filter, page);
+      return { query: Object.assign({}, filter, { limit: page.limit, cursor: req.query.cursor || null }), totals, data, nextCursor };
+    }),
+
+    // Grouped by day (default), hour, week, month or origin, with the /visits filters
+    aggregates: handle(async (req) => {
+      const groupBy = Q.parseGroupBy((req.params && req.params.groupBy) || req.query.groupBy);
+      const filter = Q.parseFilter(req.query);
+      const { limit } = Q.parsePage(req.query, 365);
+      const { totals, data } = await repo().aggregate(groupBy, filter, { limit });
+      return { query: Object.assign({ groupBy }, filter, { limit }), totals, data };
+    }),
+
+    // One visit by id (path param or ?id=), or every visit matching the filters (one is required)
+    deleteVisits: handle(async (req) => {
+      const id = (req.params && req.params.id) || req.query.id;
+      if (id) return repo().delete({ ids: [String(id)] });
+      const filter = Q.parseFilter(req.query);
+      if (!Object.values(filter).some(v => v !== null)) throw new Q.QueryError('refusing to delete without a filter');
+      return repo().delete(filter);
+    }, { auth: true }),
+
+    // ?zone=US-CA (or ?country=US) with optional ?ts= or ?hour=; region -> country -> global
+    carbonIntensity: handle(async (req) => carbonIntensity.lookup(req.query)),
+
+    // Provider chain in priority order with cache and error state
+    carbonIntensityProviders: handle(async () => ({ providers: carbonIntensity.health() }))
+  };
+}
+
+module.exports = { createHandlers };
@@ -0,0 +1,9 @@
+// server/core/index.js
+// Shared handler core for the Express server (server.js) and the Vercel functions (api/).
+const records = require('./records');
+const { createHandlers } = require('./handlers');
+const { createCarbonIntensity } = require('./carbon_intensity');
+const providers = require('./providers');
+const { toExpress, toVercel } = require('./adapters');
+
+module.exports = Object.assign({ createHandlers, createCarbonIntensity, providers, toExpress, toVercel }, records);
@@ -0,0 +1,77 @@
+// server/core/providers/cache.js
+// Wraps a provider with its own TTL cache (keyed by zone and hour) and health counters.
+
+const MAX_ENTRIES = 1000;
+
+function whenKey(when) {
+  if (!when) return 'now';
+  if (when.hour !== undefined) return 'h' + when.hour;
+  return when.date.toISOString().slice(0, 13);
+}
+
+function withCache(provider, { cacheTtl_s = 0, priority = 0 } = {}) {
+  const ttlMs = cacheTtl_s * 1000;
+  const cache = new Map();
+  const stats = { requests: 0, hits: 0, misses: 0, errors: 0 };
+  let lastSuccessAt = 0;
+  let lastErrorAt = 0;
+  let lastError = null;
+  let failing = false;
+
+  function remember(key, value) {
+    if (!ttlMs) return;
+    if (cache.size >= MAX_ENTRIES) {
+      const now = Date.now();
+      cache.forEach((v, k) => { if (now - v.at >= ttlMs) cache.delete(k); });
+      if (cache.size >= MAX_ENTRIES) cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { at: Date.now(), value });
+  }
+
+  return {
+    name: provider.name,
+    type: provider.type,
+
+    // Resolves to the provider's result (null = zone not covered); rejects on provider errors.
+    async get(zone, when) {
+      stats.requests += 1;
+      const key = zone + '|' + whenKey(when);
+      const hit = cache.get(key);
+      if (hit && Date.now() - hit.at < ttlMs) {
+        stats.hits += 1;
+        return hit.value;
+      }
+      stats.misses += 1;
+      try {
+        const value = await provider.get(zone, when);
+        lastSuccessAt = Date.now();
+        failing = false;
+        remember(key, value);
+        return value;
+      } catch (e) {
+        stats.errors += 1;
+        lastErrorAt = Date.now();
+        lastError = e.message;
+        failing = true;
+        throw e;
+      }
+    },
+
+    health() {
+      const iso = t => (t ? new Date(t).toISOString() : null);
+      return Object.assign({
+        name: provider.name,
+        type: provider.type,
+        priority,
+        ok: !failing,
+        lastSuccessAt: iso(lastSuccessAt),
+        lastErrorAt: iso(lastErrorAt),
+        lastError,
+        cacheTtl_s,
+        cacheEntries: cache.size
+      }, stats, provider.describe ? provider.describe() : {});
+    }
+  };
+}
+
+module.exports = { withCache };
@@ -0,0 +1,122 @@
+// server/core/providers/dataset.js
+// Grid-intensity datasets used by the static and file providers, and how a zone's value is
+// picked for a point in time.
+//
+// Dataset: { updated?, zones: { ZONE: { average, utcOffset_h?, hourly?: [24 values by local
+//            hour], series?: { 'YYYY-MM-DDTHH': value } (UTC hours) } } }
+// Accepted inputs:
+//   JSON  - a dataset as above, or a flat map { "US": 357, "US-CA": 220 }
+//   CSV   - header row with `zone` (or `country`) and `gCO2_per_kWh` (or `carbonIntensity`);
+//           optional `hour` (0-23 local hour) or `datetime` (UTC hour), and `utcOffset_h`.
+//           Rows without hour/datetime set the zone average.
+
+function datasetFromMap(map) {
+  const zones = {};
+  Object.keys(map || {}).forEach(k => {
+    const v = Number(map[k]);
+    if (!Number.isFinite(v)) throw new Error(`value for ${k} is not a number`);
+    zones[k.toUpperCase()] = { average: v };
+  });
+  return { zones };
+}
+
+function parseJsonDataset(text) {
+  const data = JSON.parse(text);
+  if (data && typeof data.zones === 'object' && !Array.isArray(data.zones)) return data;
+  if (data && typeof data === 'object' && !Array.isArray(data)) return datasetFromMap(data);
+  throw new Error('JSON dataset must be {"zones": {...}} or a {"ZONE": value} map');
+}
+
+// RFC 4180-style line split: commas inside double quotes are kept, "" is a literal quote.
+function splitCsvLine(line) {
+  const out = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { out.push(cur.trim()); cur = ''; }
+    else cur += ch;
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+function parseCsvDataset(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) throw new Error('CSV dataset is empty');
+  const header = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+  const col = (...names) => names.map(n => header.indexOf(n.toLowerCase())).find(i => i >= 0);
+  const zoneCol = col('zone', 'country');
+  const valueCol = col('gCO2_per_kWh', 'carbonIntensity');
+  const hourCol = col('hour');
+  const datetimeCol = col('datetime');
+  const offsetCol = col('utcOffset_h');
+  if (zoneCol === undefined || valueCol === undefined) throw new Error('CSV header needs zone (or country) and gCO2_per_kWh columns');
+  const zones = {};
+  lines.slice(1).forEach((line, i) => {
+    const r = splitCsvLine(line);
+    const code = String(r[zoneCol] || '').toUpperCase();
+    const value = Number(r[valueCol]);
+    if (!code || r[valueCol] === '' || !Number.isFinite(value)) throw new Error(`CSV line ${i + 2}: needs a zone and a numeric value`);
+    const z = zones[code] = zones[code] || {};
+    if (offsetCol !== undefined && r[offsetCol] !== '') z.utcOffset_h = Number(r[offsetCol]);
+    if (datetimeCol !== undefined && r[datetimeCol]) {
+      const d = new Date(r[datetimeCol]);
+      if (Number.isNaN(d.getTime())) throw new Error(`CSV line ${i + 2}: invalid datetime`);
+      z.series = z.series || {};
+      z.series[d.toISOString().slice(0, 13)] = value;
+    } else if (hourCol !== undefined && r[hourCol] !== '') {
+      const h = Number(r[hourCol]);
+      if (!Number.isInteger(h) || h < 0 || h > 23) throw new Error(`CSV line ${i + 2}: hour must be 0-23`);
+      z.hourly = z.hourly || new Array(24).fill(null);
+      z.hourly[h] = value;
+    } else {
+      z.average = value;
+    }
+  });
+  // a zone given only hourly/series rows averages them
+  Object.values(zones).forEach(z => {
+    if (z.hourly && z.hourly.some(v => v === null)) throw new Error('CSV hourly profiles need all 24 hours');
+    if (z.average === undefined) {
+      const vals = z.hourly || Object.values(z.series);
+      z.average = vals.reduce((a, b) => a + b, 0) / vals.length;
+    }
+  });
+  return { zones };
+}
+
+// format: 'json' | 'csv'
+function parseDataset(text, format) {
+  return format === 'csv' ? parseCsvDataset(text) : parseJsonDataset(text);
+}
+
+// Value for one dataset zone at `when`: exact UTC-hour series, else local-hour profile, else average.
+function zoneValue(zone, when) {
+  if (when && when.date && zone.series) {
+    const key = when.date.toISOString().slice(0, 13);
+    if (zone.series[key] !== undefined) return { value: Number(zone.series[key]), resolution: 'hourly_series', hour: key };
+  }
+  if (when && Array.isArray(zone.hourly) && zone.hourly.length === 24) {
+    let localHour = when.hour;
+    if (localHour === undefined) {
+      const utcHours = when.date.getUTCHours() + when.date.getUTCMinutes() / 60;
+      localHour = Math.floor((((utcHours + Number(zone.utcOffset_h || 0)) % 24) + 24) % 24);
+    }
+    return { value: Number(zone.hourly[localHour]), resolution: 'hourly_profile', localHour };
+  }
+  return { value: Number(zone.average), resolution: 'average' };
+}
+
+// Provider lookup against a loaded dataset; null when the zone is not covered.
+function lookupInDataset(dataset, zone, when) {
+  const z = dataset.zones[zone];
+  if (!z) return null;
+  return Object.assign(zoneValue(z, when), { lastUpdated: dataset.updated || null });
+}
+
+module.exports = { parseDataset, parseCsvDataset, parseJsonDataset, datasetFromMap, zoneValue, lookupInDataset };
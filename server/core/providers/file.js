@@ -0,0 +1,59 @@
+// server/core/providers/file.js
+// Dataset provider reading a local CSV/JSON file (`path`) or one served over HTTP (`url`).
+// The dataset is re-read after `reload_s`; if a reload fails the previous copy keeps
+// answering and describe() reports it as stale.
+const fs = require('fs');
+const path = require('path');
+const { parseDataset, lookupInDataset } = require('./dataset');
+
+function formatOf(source, contentType) {
+  if (/csv/i.test(contentType || '') || /\.csv$/i.test(source)) return 'csv';
+  return 'json';
+}
+
+function createFileProvider({ name, path: file, url, format, reload_s = 300, fetch = globalThis.fetch } = {}) {
+  if (!file && !url) throw new Error('file provider needs a path or url');
+  let dataset = null;
+  let loadedAt = 0;
+  let staleSince = null;
+
+  async function read() {
+    if (file) return parseDataset(await fs.promises.readFile(file, 'utf8'), format || formatOf(file));
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+    return parseDataset(await res.text(), format || formatOf(url, res.headers.get('content-type')));
+  }
+
+  async function load() {
+    if (dataset && Date.now() - loadedAt < reload_s * 1000) return dataset;
+    try {
+      dataset = await read();
+      staleSince = null;
+    } catch (e) {
+      if (!dataset) throw e;
+      staleSince = staleSince || new Date().toISOString();
+      console.warn(`carbon-intensity: ${name}: keeping previous dataset,`, e.message);
+    }
+    loadedAt = Date.now();
+    return dataset;
+  }
+
+  return {
+    name: name || (file ? path.basename(file, path.extname(file)) : 'remote_dataset'),
+    type: 'file',
+    async get(zone, when) {
+      return lookupInDataset(await load(), zone, when);
+    },
+    describe() {
+      return {
+        // no server paths or URL query strings (which may hold tokens) in the public health output
+        source: file ? path.basename(file) : url.split('?')[0],
+        zones: dataset ? Object.keys(dataset.zones).length : null,
+        loadedAt: loadedAt ? new Date(loadedAt).toISOString() : null,
+        staleSince
+      };
+    }
+  };
+}
+
+module.exports = { createFileProvider };
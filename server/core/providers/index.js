@@ -0,0 +1,62 @@
+// server/core/providers/index.js
+// Carbon-intensity providers. A provider is { name, type, get(zone, when), describe()? } where
+// get resolves to { value, resolution, localHour?, hour?, lastUpdated } or null when it has
+// no data for the zone, and rejects when it is failing. carbon_intensity.js asks them in
+// priority order; each is wrapped with its own cache and health counters (cache.js).
+//
+// CARBON_PROVIDERS (JSON array, highest priority first) configures the chain, e.g.
+//   [{"type":"rest","baseUrl":"https://api.electricitymap.org/v3","apiKeyEnv":"ELECTRICITY_MAPS_TOKEN"},
+//    {"type":"file","path":"/data/grid.csv","cacheTtl_s":600},
+//    {"type":"static","values":{"GLOBAL":442}}]
+// Without it the chain is built from ELECTRICITY_MAPS_TOKEN, GRID_DATASET_PATH,
+// CARBON_SOURCE_URL and DEFAULT_INTENSITY (see defaultConfigs).
+const path = require('path');
+const { createStaticProvider } = require('./static');
+const { createFileProvider } = require('./file');
+const { createRestProvider } = require('./rest');
+const { withCache } = require('./cache');
+const { GreenEmissions } = require('../../../emissions_model.js');
+
+const BUNDLED_DATASET = path.join(__dirname, '..', '..', 'data', 'grid_intensity.json');
+// the extension's own fallback (SWD v3), so a 'global' answer and a failed lookup agree
+const DEFAULT_GLOBAL = GreenEmissions.GLOBAL_GRID_INTENSITY;
+
+// Default cache TTL per provider type (seconds)
+const DEFAULT_TTL = { static: 0, file: 300, rest: 900 };
+
+function defaultConfigs(env) {
+  const configs = [];
+  if (env.ELECTRICITY_MAPS_TOKEN) {
+    configs.push({ type: 'rest', name: 'electricitymaps', baseUrl: env.ELECTRICITY_MAPS_URL || 'https://api.electricitymap.org/v3', apiKeyEnv: 'ELECTRICITY_MAPS_TOKEN' });
+  }
+  configs.push({ type: 'file', name: 'grid_dataset', path: env.GRID_DATASET_PATH || BUNDLED_DATASET });
+  if (env.CARBON_SOURCE_URL) {
+    const ttl = Number(env.CACHE_TTL_SECONDS || 24 * 3600);
+    configs.push({ type: 'file', name: 'remote_dataset', url: env.CARBON_SOURCE_URL, reload_s: ttl, cacheTtl_s: ttl });
+  }
+  configs.push({ type: 'static', name: 'static_map', values: { GLOBAL: Number(env.DEFAULT_INTENSITY || DEFAULT_GLOBAL) } });
+  return configs;
+}
+
+function createProvider(config, { env = process.env, fetch = globalThis.fetch } = {}) {
+  switch (config.type) {
+    case 'static': return createStaticProvider(config);
+    case 'file': return createFileProvider(Object.assign({ fetch }, config));
+    case 'rest': return createRestProvider(Object.assign({ fetch }, config, {
+      apiKey: config.apiKeyEnv ? env[config.apiKeyEnv] : config.apiKey
+    }));
+    default: throw new Error(`unknown carbon-intensity provider type "${config.type}"`);
+  }
+}
+
+// Cached providers in priority order, from `configs` or CARBON_PROVIDERS / the defaults.
+function createProviders({ configs, env = process.env, fetch = globalThis.fetch } = {}) {
+  const list = configs || (env.CARBON_PROVIDERS ? JSON.parse(env.CARBON_PROVIDERS) : defaultConfigs(env));
+  if (!Array.isArray(list) || !list.length) throw new Error('CARBON_PROVIDERS must be a non-empty JSON array');
+  return list.map((config, i) => withCache(createProvider(config, { env, fetch }), {
+    cacheTtl_s: config.cacheTtl_s !== undefined ? Number(config.cacheTtl_s) : DEFAULT_TTL[config.type],
+    priority: i + 1
+  }));
+}
+
+module.exports = { BUNDLED_DATASET, DEFAULT_GLOBAL, defaultConfigs, createProvider, createProviders };
@@ -0,0 +1,53 @@
+// server/core/providers/rest.js
+// Live intensity from an Electricity Maps-style REST API:
+//   GET {baseUrl}/carbon-intensity/latest?zone=US-CA
+//   GET {baseUrl}/carbon-intensity/past?zone=US-CA&datetime=2026-06-01T20:00:00Z
+// both answering { zone, carbonIntensity, datetime, updatedAt }, authenticated with the
+// `authHeader` header (default auth-token). A 404 means the zone is not covered.
+
+const PAST_AFTER_MS = 3600 * 1000;
+
+function createRestProvider({ name = 'electricitymaps', baseUrl, apiKey = null, authHeader = 'auth-token', timeoutMs = 5000, fetch = globalThis.fetch } = {}) {
+  if (!baseUrl) throw new Error('rest provider needs a baseUrl');
+  const root = baseUrl.replace(/\/$/, '');
+
+  async function request(pathAndQuery) {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    try {
+      const res = await fetch(root + pathAndQuery, { headers: apiKey ? { [authHeader]: apiKey } : {}, signal: ctrl.signal });
+      if (res.status === 404) return null;
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return await res.json();
+    } catch (e) {
+      if (e.name === 'AbortError') throw new Error(`timed out after ${timeoutMs} ms`);
+      throw e;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    name,
+    type: 'rest',
+    async get(zone, when) {
+      // the API has neither a global zone nor typical-day profiles
+      if (zone === 'GLOBAL' || (when && when.hour !== undefined)) return null;
+      const past = when && when.date && Date.now() - when.date.getTime() > PAST_AFTER_MS;
+      const body = past
+        ? await request(`/carbon-intensity/past?zone=${encodeURIComponent(zone)}&datetime=${encodeURIComponent(when.date.toISOString())}`)
+        : await request(`/carbon-intensity/latest?zone=${encodeURIComponent(zone)}`);
+      if (!body) return null;
+      const value = Number(body.carbonIntensity);
+      if (body.carbonIntensity === null || !Number.isFinite(value)) throw new Error('response has no numeric carbonIntensity');
+      const result = { value, resolution: past ? 'hourly_series' : 'live', lastUpdated: body.updatedAt || body.datetime || null };
+      if (body.datetime) result.hour = new Date(body.datetime).toISOString().slice(0, 13);
+      return result;
+    },
+    describe() {
+      return { baseUrl: root, authenticated: Boolean(apiKey) };
+    }
+  };
+}
+
+module.exports = { createRestProvider };
@@ -0,0 +1,19 @@
+// server/core/providers/static.js
+// Fixed { ZONE: gCO2_per_kWh } values; typically the last provider in the chain.
+const { datasetFromMap, lookupInDataset } = require('./dataset');
+
+function createStaticProvider({ name = 'static_map', values = {} } = {}) {
+  const dataset = datasetFromMap(values);
+  return {
+    name,
+    type: 'static',
+    async get(zone, when) {
+      return lookupInDataset(dataset, zone, when);
+    },
+    describe() {
+      return { zones: Object.keys(dataset.zones).length };
+    }
+  };
+}
+
+module.exports = { createStaticProvider };
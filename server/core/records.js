@@ -0,0 +1,59 @@
+// server/core/records.js
+// The one visit record shape both deployments accept. Records are the extension's camelCase
+// objects; snake_case column names (transfer_bytes, ...) from older clients are accepted
+// and converted. Unknown fields are kept, so the stored record stays complete.
+
+const MAX_BATCH = 500;
+
+const NUMERIC_FIELDS = {
+  transferBytes: 'transfer_bytes',
+  resourceCount: 'resource_count',
+  loadTimeMs: 'load_time_ms',
+  estimatedCO2_g: 'estimated_co2_g'
+};
+
+class RecordError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Accepts a single record, an array of records or {records: [...]}
+function recordsFromBody(body) {
+  if (Array.isArray(body)) return body;
+  if (body && Array.isArray(body.records)) return body.records;
+  return body ? [body] : [];
+}
+
+function normalizeRecord(rec) {
+  if (!rec || typeof rec !== 'object' || rec.id === undefined || rec.id === null || rec.id === '') {
+    throw new RecordError('every record needs an id');
+  }
+  const out = Object.assign({}, rec, { id: String(rec.id) });
+  Object.keys(NUMERIC_FIELDS).forEach(camel => {
+    const snake = NUMERIC_FIELDS[camel];
+    const v = out[camel] !== undefined && out[camel] !== null ? out[camel] : out[snake];
+    delete out[snake];
+    out[camel] = Number(v || 0);
+    if (!Number.isFinite(out[camel])) throw new RecordError(`${camel} must be a number (record ${out.id})`);
+  });
+  if (out.ts === undefined || out.ts === null || out.ts === '') {
+    out.ts = new Date().toISOString();
+  } else {
+    const d = new Date(out.ts);
+    if (Number.isNaN(d.getTime())) throw new RecordError(`ts must be an ISO timestamp (record ${out.id})`);
+    out.ts = d.toISOString();
+  }
+  return out;
+}
+
+// Parses an ingest body into normalized records; throws RecordError (400/413) when invalid.
+function parseIngestBody(body) {
+  const records = recordsFromBody(body);
+  if (records.length === 0) throw new RecordError('every record needs an id');
+  if (records.length > MAX_BATCH) throw new RecordError(`batch larger than ${MAX_BATCH}`, 413);
+  return records.map(normalizeRecord);
+}
+
+module.exports = { MAX_BATCH, RecordError, recordsFromBody, normalizeRecord, parseIngestBody };
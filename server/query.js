@@ -0,0 +1,182 @@
+// server/query.js
+// Query-string parsing, cursor encoding and grouping shared by the /visits and /aggregates routes.
+// Every filter has both a SQL form (SQLite) and a JS form (in-memory fallback) so the two
+// stores return the same results.
+
+const GROUPS = ['day', 'hour', 'week', 'month', 'origin'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+function isoOrThrow(name, v) {
+  if (v === undefined || v === '') return null;
+  // plain dates are inclusive whole days
+  const s = /^\d{4}-\d{2}-\d{2}$/.test(v) ? (name === 'to' ? `${v}T23:59:59.999Z` : `${v}T00:00:00.000Z`) : v;
+  const d = new Date(s);
+  if (Number.isNaN(d.getTime())) throw new QueryError(`${name} must be an ISO date or timestamp`);
+  return d.toISOString();
+}
+
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.ts, row.id])).toString('base64url');
+}
+
+function decodeCursor(c) {
+  try {
+    const [ts, id] = JSON.parse(Buffer.from(String(c), 'base64url').toString('utf8'));
+    if (typeof ts !== 'string' || typeof id !== 'string') throw new Error('bad cursor');
+    return { ts, id };
+  } catch (e) {
+    throw new QueryError('cursor is invalid');
+  }
+}
+
+/**
+ * Parse and validate visit filters from a query string.
+ * Supports from, to, origin, minBytes, q (url/title substring), limit and cursor.
+ */
+function parseFilter(query = {}) {
+  const filter = {
+    from: isoOrThrow('from', query.from),
+    to: isoOrThrow('to', query.to),
+    origin: query.origin ? String(query.origin) : null,
+    minBytes: null,
+    q: query.q ? String(query.q) : null
+  };
+  if (query.minBytes !== undefined && query.minBytes !== '') {
+    const n = Number(query.minBytes);
+    if (!Number.isFinite(n) || n < 0) throw new QueryError('minBytes must be a non-negative number');
+    filter.minBytes = n;
+  }
+  return filter;
+}
+
+function parsePage(query = {}, defaultLimit = DEFAULT_LIMIT) {
+  let limit = defaultLimit;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) throw new QueryError('limit must be a positive integer');
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+  return { limit, cursor: query.cursor ? decodeCursor(query.cursor) : null };
+}
+
+function parseGroupBy(v) {
+  const g = v || 'day';
+  if (!GROUPS.includes(g)) throw new QueryError(`groupBy must be one of ${GROUPS.join(', ')}`);
+  return g;
+}
+
+// ---------- SQL (SQLite) ----------
+function whereSql(filter, cursor) {
+  const clauses = [];
+  const params = [];
+  if (filter.ids) { clauses.push(`id IN (${filter.ids.map(() => '?').join(',') || 'NULL'})`); params.push(...filter.ids); }
+  if (filter.from) { clauses.push('ts >= ?'); params.push(filter.from); }
+  if (filter.to) { clauses.push('ts <= ?'); params.push(filter.to); }
+  if (filter.origin) { clauses.push('origin = ?'); params.push(filter.origin); }
+  if (filter.minBytes != null) { clauses.push('transferBytes >= ?'); params.push(filter.minBytes); }
+  if (filter.q) {
+    clauses.push(`(url LIKE ? ESCAPE '\\' OR json_extract(raw, '$.title') LIKE ? ESCAPE '\\')`);
+    const like = '%' + filter.q.replace(/[\\%_]/g, m => '\\' + m) + '%';
+    params.push(like, like);
+  }
+  if (cursor) { clauses.push('(ts < ? OR (ts = ? AND id < ?))'); params.push(cursor.ts, cursor.ts, cursor.id); }
+  return { sql: clauses.length ? 'WHERE ' + clauses.join(' AND ') : '', params };
+}
+
+// SQLite strftime('%W') numbers weeks from the first Monday of the year (00-53).
+const GROUP_SQL = {
+  day: 'substr(ts,1,10)',
+  hour: "substr(ts,1,13) || ':00'",
+  week: "strftime('%Y-W%W', ts)",
+  month: 'substr(ts,1,7)',
+  origin: 'origin'
+};
+
+// ---------- JS (in-memory) ----------
+// `filter` may also carry `ids` (used by repository deletes); missing keys mean "no constraint".
+function matches(row, filter, cursor) {
+  const ts = row.ts || '';
+  if (filter.ids && !filter.ids.includes(row.id)) return false;
+  if (filter.from && ts < filter.from) return false;
+  if (filter.to && ts > filter.to) return false;
+  if (filter.origin && row.origin !== filter.origin) return false;
+  if (filter.minBytes != null && Number(row.transferBytes || 0) < filter.minBytes) return false;
+  if (filter.q) {
+    const needle = filter.q.toLowerCase();
+    const title = (row.raw && row.raw.title) || '';
+    if (!String(row.url || '').toLowerCase().includes(needle) && !String(title).toLowerCase().includes(needle)) return false;
+  }
+  if (cursor && !(ts < cursor.ts || (ts === cursor.ts && row.id < cursor.id))) return false;
+  return true;
+}
+
+function weekKey(ts) {
+  const d = new Date(ts);
+  const jan1 = Date.UTC(d.getUTCFullYear(), 0, 1);
+  const yday = Math.floor((Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) - jan1) / 86400000);
+  const mondayBased = (d.getUTCDay() + 6) % 7;
+  const week = Math.floor((yday + 7 - mondayBased) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+function groupKey(row, groupBy) {
+  const ts = row.ts || '';
+  switch (groupBy) {
+    case 'hour': return ts.slice(0, 13) + ':00';
+    case 'week': return weekKey(ts);
+    case 'month': return ts.slice(0, 7);
+    case 'origin': return row.origin;
+    default: return ts.slice(0, 10);
+  }
+}
+
+// Sort order for groups: time buckets newest first, origins by CO2.
+function sortGroups(rows, groupBy) {
+  if (groupBy === 'origin') return rows.sort((a, b) => b.co2 - a.co2);
+  return rows.sort((a, b) => String(b[groupBy]).localeCompare(String(a[groupBy])));
+}
+
+function emptyTotals() {
+  return { visits: 0, bytes: 0, co2: 0 };
+}
+
+function addTotals(t, r) {
+  t.visits += 1;
+  t.bytes += Number(r.transferBytes || 0);
+  t.co2 += Number(r.estimatedCO2_g || 0);
+  return t;
+}
+
+// Groups rows ({ ts, origin, transferBytes, estimatedCO2_g }) in JS; returns sorted groups.
+function groupRows(rows, groupBy) {
+  const map = {};
+  rows.forEach(r => {
+    const key = groupKey(r, groupBy);
+    map[key] = map[key] || { [groupBy]: key, visits: 0, bytes: 0, co2: 0 };
+    addTotals(map[key], r);
+  });
+  return sortGroups(Object.values(map), groupBy);
+}
+
+function sumGroups(groups) {
+  return groups.reduce((t, g) => {
+    t.visits += g.visits;
+    t.bytes += Number(g.bytes || 0);
+    t.co2 += Number(g.co2 || 0);
+    return t;
+  }, emptyTotals());
+}
+
+module.exports = {
+  GROUPS, DEFAULT_LIMIT, MAX_LIMIT, QueryError,
+  parseFilter, parsePage, parseGroupBy, encodeCursor, decodeCursor,
+  whereSql, GROUP_SQL, matches, groupKey, sortGroups, emptyTotals, addTotals, groupRows, sumGroups
+};
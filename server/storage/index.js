@@ -0,0 +1,54 @@
+// server/storage/index.js
+// Visit repository factory. Every backend implements the same async interface:
+//   insertVisit(record) / insertVisits(records) -> { accepted }
+//   queryVisits(filter, { limit, cursor })      -> { totals, data, nextCursor }
+//   aggregate(groupBy, filter, { limit })       -> { totals, data }
+//   delete(filter)                              -> { deleted }
+//   close()
+// Filters are the objects produced by query.parseFilter (plus optional `ids`).
+// BACKENDS are the self-contained ones covered by test/repository.test.js; `supabase`
+// (hosted Postgres, used by the Vercel functions) is also selectable from the environment.
+const { MemoryRepository } = require('./memory');
+const { JsonlRepository } = require('./jsonl');
+const { SupabaseRepository } = require('./supabase');
+
+const BACKENDS = ['sqlite', 'memory', 'jsonl'];
+const DEFAULT_PATHS = { sqlite: 'visits.db', jsonl: 'visits.jsonl' };
+
+/**
+ * Create a repository for `backend` ('sqlite' | 'memory' | 'jsonl').
+ * `file` defaults to visits.db / visits.jsonl in the working directory.
+ */
+function createRepository(backend, file) {
+  if (!BACKENDS.includes(backend)) throw new Error(`unknown storage backend "${backend}" (expected ${BACKENDS.join(', ')})`);
+  if (backend === 'memory') return new MemoryRepository();
+  if (backend === 'jsonl') return new JsonlRepository(file || DEFAULT_PATHS.jsonl);
+  const { SqliteRepository } = require('./sqlite');
+  return new SqliteRepository(file || DEFAULT_PATHS.sqlite);
+}
+
+// SUPABASE_URL + SUPABASE_SERVICE_KEY; requires @supabase/supabase-js
+function supabaseFromEnv(env = process.env) {
+  const { createClient } = require('@supabase/supabase-js');
+  if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY) throw new Error('SUPABASE_URL and SUPABASE_SERVICE_KEY must be set');
+  return new SupabaseRepository(createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY));
+}
+
+/**
+ * Repository selected by STORAGE (sqlite (default), memory, jsonl or supabase) and
+ * STORAGE_PATH. If better-sqlite3 is not installed and STORAGE was not set explicitly,
+ * falls back to the in-memory backend.
+ */
+function fromEnv(env = process.env) {
+  const backend = (env.STORAGE || 'sqlite').toLowerCase();
+  if (backend === 'supabase') return supabaseFromEnv(env);
+  try {
+    return createRepository(backend, env.STORAGE_PATH);
+  } catch (e) {
+    if (backend !== 'sqlite' || env.STORAGE || e.code !== 'MODULE_NOT_FOUND') throw e;
+    console.warn('better-sqlite3 not available — falling back to in-memory storage. Install better-sqlite3 or set STORAGE=jsonl for persistence.', e.message);
+    return new MemoryRepository();
+  }
+}
+
+module.exports = { BACKENDS, createRepository, fromEnv, supabaseFromEnv, SupabaseRepository };
@@ -0,0 +1,52 @@
+// server/storage/jsonl.js
+// Append-only JSONL visit repository. Every write appends one line per operation
+// ({"op":"put","record":{...}} or {"op":"delete","ids":[...]}); on start-up the log is
+// replayed into an in-memory index, so reads behave exactly like the memory backend.
+const fs = require('fs');
+const { MemoryRepository, toRow } = require('./memory');
+
+class JsonlRepository extends MemoryRepository {
+  constructor(file) {
+    super();
+    this.name = 'jsonl';
+    this.file = file;
+    this.replay();
+  }
+
+  replay() {
+    if (!fs.existsSync(this.file)) return;
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        // a crash mid-append can leave a truncated last line; anything else is corruption
+        if (i >= lines.length - 2) return console.warn(`${this.file}: ignoring truncated last line`);
+        throw new Error(`${this.file}:${i + 1}: invalid JSON`);
+      }
+      if (entry.op === 'put') this.visits.set(String(entry.record.id), toRow(entry.record));
+      else if (entry.op === 'delete') entry.ids.forEach(id => this.visits.delete(id));
+    });
+  }
+
+  append(entries) {
+    if (!entries.length) return;
+    fs.appendFileSync(this.file, entries.map(e => JSON.stringify(e) + '\n').join(''));
+  }
+
+  // The log is written before the index so a failed append leaves both unchanged.
+  async insertVisits(records) {
+    this.append(records.map(record => ({ op: 'put', record })));
+    return super.insertVisits(records);
+  }
+
+  async delete(filter = {}) {
+    const ids = this.matchingIds(filter);
+    this.append(ids.length ? [{ op: 'delete', ids }] : []);
+    return super.delete({ ids });
+  }
+}
+
+module.exports = { JsonlRepository };
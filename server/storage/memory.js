@@ -0,0 +1,83 @@
+// server/storage/memory.js
+// In-memory visit repository. Filters, pagination and grouping are the JS forms from
+// query.js; the JSONL backend reuses this class as its index.
+const Q = require('../query');
+
+// Stored row: indexed columns plus the full record as `raw`
+function toRow(rec) {
+  return {
+    id: String(rec.id),
+    ts: rec.ts || null,
+    url: rec.url || null,
+    origin: rec.origin || null,
+    transferBytes: rec.transferBytes || 0,
+    resourceCount: rec.resourceCount || 0,
+    loadTimeMs: rec.loadTimeMs || 0,
+    estimatedCO2_g: rec.estimatedCO2_g || 0,
+    raw: rec
+  };
+}
+
+// Shape returned by queryVisits (same columns the SQLite backend selects)
+function toVisit(r) {
+  return {
+    id: r.id, ts: r.ts, origin: r.origin, url: r.url, title: (r.raw && r.raw.title) || null,
+    transferBytes: r.transferBytes, resourceCount: r.resourceCount, loadTimeMs: r.loadTimeMs, estimatedCO2_g: r.estimatedCO2_g
+  };
+}
+
+function newestFirst(a, b) {
+  return (b.ts || '').localeCompare(a.ts || '') || (b.id < a.id ? -1 : b.id > a.id ? 1 : 0);
+}
+
+class MemoryRepository {
+  constructor() {
+    this.name = 'memory';
+    this.visits = new Map();
+  }
+
+  // Idempotent on id: re-inserting a record replaces it.
+  async insertVisits(records) {
+    records.forEach(rec => this.visits.set(String(rec.id), toRow(rec)));
+    return { accepted: records.length };
+  }
+
+  insertVisit(record) {
+    return this.insertVisits([record]);
+  }
+
+  async queryVisits(filter = {}, page = {}) {
+    const limit = page.limit || Q.DEFAULT_LIMIT;
+    const matched = Array.from(this.visits.values()).filter(r => Q.matches(r, filter));
+    const totals = matched.reduce(Q.addTotals, Q.emptyTotals());
+    const rows = matched
+      .filter(r => !page.cursor || Q.matches(r, {}, page.cursor))
+      .sort(newestFirst)
+      .slice(0, limit + 1);
+    const data = rows.slice(0, limit).map(toVisit);
+    const nextCursor = rows.length > limit ? Q.encodeCursor(data[data.length - 1]) : null;
+    return { totals, data, nextCursor };
+  }
+
+  async aggregate(groupBy = 'day', filter = {}, opts = {}) {
+    const groups = Q.groupRows(Array.from(this.visits.values()).filter(r => Q.matches(r, filter)), groupBy);
+    return { totals: Q.sumGroups(groups), data: opts.limit ? groups.slice(0, opts.limit) : groups };
+  }
+
+  // Deletes every visit matching `filter` (which may include `ids`).
+  async delete(filter = {}) {
+    const ids = this.matchingIds(filter);
+    ids.forEach(id => this.visits.delete(id));
+    return { deleted: ids.length };
+  }
+
+  matchingIds(filter) {
+    const ids = [];
+    this.visits.forEach(r => { if (Q.matches(r, filter)) ids.push(r.id); });
+    return ids;
+  }
+
+  async close() {}
+}
+
+module.exports = { MemoryRepository, toRow, toVisit };
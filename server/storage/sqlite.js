@@ -0,0 +1,78 @@
+// server/storage/sqlite.js
+// SQLite visit repository (better-sqlite3). Filters, pagination and grouping run as SQL
+// built by query.js.
+const Q = require('../query');
+
+const VISIT_COLUMNS = `id, ts, origin, url, json_extract(raw, '$.title') AS title, transferBytes, resourceCount, loadTimeMs, estimatedCO2_g`;
+const TOTALS_SQL = `COUNT(*) AS visits, COALESCE(SUM(transferBytes),0) AS bytes, COALESCE(SUM(estimatedCO2_g),0) AS co2`;
+
+class SqliteRepository {
+  constructor(file) {
+    const Database = require('better-sqlite3');
+    this.name = 'sqlite';
+    this.db = new Database(file);
+    this.db.exec(`CREATE TABLE IF NOT EXISTS visits (
+      id TEXT PRIMARY KEY,
+      ts TEXT,
+      url TEXT,
+      origin TEXT,
+      transferBytes INTEGER,
+      resourceCount INTEGER,
+      loadTimeMs INTEGER,
+      estimatedCO2_g REAL,
+      raw JSON
+    )`);
+    this.db.exec('CREATE INDEX IF NOT EXISTS visits_ts ON visits (ts, id)');
+    this.db.exec('CREATE INDEX IF NOT EXISTS visits_origin_ts ON visits (origin, ts)');
+    // Idempotent on id: re-inserting a record replaces it.
+    const insert = this.db.prepare(`INSERT OR REPLACE INTO visits (id, ts, url, origin, transferBytes, resourceCount, loadTimeMs, estimatedCO2_g, raw) VALUES (?,?,?,?,?,?,?,?,?)`);
+    this.insertMany = this.db.transaction((records) => {
+      for (const rec of records) {
+        insert.run(String(rec.id), rec.ts || null, rec.url || null, rec.origin || null, rec.transferBytes || 0, rec.resourceCount || 0, rec.loadTimeMs || 0, rec.estimatedCO2_g || 0, JSON.stringify(rec));
+      }
+    });
+  }
+
+  async insertVisits(records) {
+    this.insertMany(records);
+    return { accepted: records.length };
+  }
+
+  insertVisit(record) {
+    return this.insertVisits([record]);
+  }
+
+  async queryVisits(filter = {}, page = {}) {
+    const limit = page.limit || Q.DEFAULT_LIMIT;
+    const all = Q.whereSql(filter);
+    const totals = this.db.prepare(`SELECT ${TOTALS_SQL} FROM visits ${all.sql}`).get(...all.params);
+    const paged = Q.whereSql(filter, page.cursor);
+    const rows = this.db.prepare(`SELECT ${VISIT_COLUMNS} FROM visits ${paged.sql} ORDER BY ts DESC, id DESC LIMIT ?`)
+      .all(...paged.params, limit + 1);
+    const data = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? Q.encodeCursor(data[data.length - 1]) : null;
+    return { totals, data, nextCursor };
+  }
+
+  async aggregate(groupBy = 'day', filter = {}, opts = {}) {
+    const where = Q.whereSql(filter);
+    const totals = this.db.prepare(`SELECT ${TOTALS_SQL} FROM visits ${where.sql}`).get(...where.params);
+    const groups = Q.sortGroups(this.db.prepare(`
+      SELECT ${Q.GROUP_SQL[groupBy]} AS ${groupBy}, ${TOTALS_SQL}
+      FROM visits ${where.sql} GROUP BY 1
+    `).all(...where.params), groupBy);
+    return { totals, data: opts.limit ? groups.slice(0, opts.limit) : groups };
+  }
+
+  async delete(filter = {}) {
+    const where = Q.whereSql(filter);
+    const info = this.db.prepare(`DELETE FROM visits ${where.sql}`).run(...where.params);
+    return { deleted: info.changes };
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = { SqliteRepository };
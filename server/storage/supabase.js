@@ -0,0 +1,112 @@
+// server/storage/supabase.js
+// Supabase (PostgREST) visit repository used by the Vercel deployment. Table `visits` has
+// snake_case columns (id, ts, url, origin, title, transfer_bytes, resource_count,
+// load_time_ms, estimated_co2_g, raw). PostgREST has no GROUP BY, so totals and
+// aggregates scan the matching rows in pages and group them with query.js.
+const Q = require('../query');
+
+const SCAN_PAGE = 1000;
+const VISIT_COLUMNS = 'id, ts, origin, url, title, transfer_bytes, resource_count, load_time_ms, estimated_co2_g';
+
+function toRow(rec) {
+  return {
+    id: String(rec.id),
+    ts: rec.ts || null,
+    url: rec.url || null,
+    origin: rec.origin || null,
+    title: rec.title || null,
+    transfer_bytes: rec.transferBytes || 0,
+    resource_count: rec.resourceCount || 0,
+    load_time_ms: rec.loadTimeMs || 0,
+    estimated_co2_g: rec.estimatedCO2_g || 0,
+    raw: rec
+  };
+}
+
+// timestamptz comes back as "+00:00"; re-serialize so cursors and group keys match other backends
+function toVisit(r) {
+  return {
+    id: r.id, ts: r.ts ? new Date(r.ts).toISOString() : null, origin: r.origin, url: r.url, title: r.title || null,
+    transferBytes: Number(r.transfer_bytes || 0), resourceCount: Number(r.resource_count || 0),
+    loadTimeMs: Number(r.load_time_ms || 0), estimatedCO2_g: Number(r.estimated_co2_g || 0)
+  };
+}
+
+// Double-quote a value for PostgREST or=(...) filters
+function quote(v) {
+  return '"' + String(v).replace(/["\\]/g, m => '\\' + m) + '"';
+}
+
+function applyFilter(qb, filter, cursor) {
+  if (filter.ids) qb = qb.in('id', filter.ids);
+  if (filter.from) qb = qb.gte('ts', filter.from);
+  if (filter.to) qb = qb.lte('ts', filter.to);
+  if (filter.origin) qb = qb.eq('origin', filter.origin);
+  if (filter.minBytes != null) qb = qb.gte('transfer_bytes', filter.minBytes);
+  if (filter.q) {
+    const like = quote('%' + filter.q.replace(/[\\%_]/g, m => '\\' + m) + '%');
+    qb = qb.or(`url.ilike.${like},title.ilike.${like}`);
+  }
+  if (cursor) qb = qb.or(`ts.lt.${quote(cursor.ts)},and(ts.eq.${quote(cursor.ts)},id.lt.${quote(cursor.id)})`);
+  return qb;
+}
+
+async function run(qb) {
+  const { data, error, count } = await qb;
+  if (error) throw new Error(`supabase: ${error.message}`);
+  return { data: data || [], count };
+}
+
+class SupabaseRepository {
+  constructor(client, table = 'visits') {
+    this.name = 'supabase';
+    this.client = client;
+    this.table = table;
+  }
+
+  // Idempotent on id: re-inserting a record replaces it.
+  async insertVisits(records) {
+    await run(this.client.from(this.table).upsert(records.map(toRow), { onConflict: 'id' }));
+    return { accepted: records.length };
+  }
+
+  insertVisit(record) {
+    return this.insertVisits([record]);
+  }
+
+  async scan(filter) {
+    const rows = [];
+    for (let offset = 0; ; offset += SCAN_PAGE) {
+      const qb = applyFilter(this.client.from(this.table).select(VISIT_COLUMNS), filter)
+        .order('id').range(offset, offset + SCAN_PAGE - 1);
+      const { data } = await run(qb);
+      rows.push(...data.map(toVisit));
+      if (data.length < SCAN_PAGE) return rows;
+    }
+  }
+
+  async queryVisits(filter = {}, page = {}) {
+    const limit = page.limit || Q.DEFAULT_LIMIT;
+    const totals = (await this.scan(filter)).reduce(Q.addTotals, Q.emptyTotals());
+    const qb = applyFilter(this.client.from(this.table).select(VISIT_COLUMNS), filter, page.cursor)
+      .order('ts', { ascending: false }).order('id', { ascending: false }).limit(limit + 1);
+    const rows = (await run(qb)).data.map(toVisit);
+    const data = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? Q.encodeCursor(data[data.length - 1]) : null;
+    return { totals, data, nextCursor };
+  }
+
+  async aggregate(groupBy = 'day', filter = {}, opts = {}) {
+    const groups = Q.groupRows(await this.scan(filter), groupBy);
+    return { totals: Q.sumGroups(groups), data: opts.limit ? groups.slice(0, opts.limit) : groups };
+  }
+
+  async delete(filter = {}) {
+    const { count } = await run(applyFilter(this.client.from(this.table).delete({ count: 'exact' }), filter));
+    return { deleted: count || 0 };
+  }
+
+  async close() {}
+}
+
+module.exports = { SupabaseRepository };
@@ -0,0 +1,63 @@
+// server/test/carbon_intensity.test.js
+// Zone fallback (region -> country -> global) and hourly resolution of the intensity lookup.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCarbonIntensity } = require('../core/carbon_intensity');
+const { GreenEmissions } = require('../../emissions_model.js');
+
+const HOURLY = Array.from({ length: 24 }, (_, h) => 100 + h);
+
+describe('carbon intensity lookup', () => {
+  let dir;
+  let lookup;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-grid-'));
+    const file = path.join(dir, 'grid.json');
+    fs.writeFileSync(file, JSON.stringify({
+      updated: '2026-01-01',
+      zones: {
+        GLOBAL: { average: 450 },
+        US: { average: 350 },
+        'US-CA': { average: 200, utcOffset_h: -8, hourly: HOURLY, series: { '2026-06-01T20': 42 } }
+      }
+    }));
+    lookup = createCarbonIntensity({ env: { GRID_DATASET_PATH: file } }).lookup;
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('falls back region -> country -> global and reports the level', async () => {
+    const pick = r => [r.zone, r.matchedZone, r.level, r.gCO2_per_kWh, r.resolution];
+    assert.deepEqual(pick(await lookup({ zone: 'us_ca' })), ['US-CA', 'US-CA', 'region', 200, 'average']);
+    assert.deepEqual(pick(await lookup({ zone: 'US-TX' })), ['US-TX', 'US', 'country', 350, 'average']);
+    assert.deepEqual(pick(await lookup({ country: 'AU-NSW' })), ['AU-NSW', 'GLOBAL', 'global', 450, 'average']);
+    assert.deepEqual(pick(await lookup({})), ['GLOBAL', 'GLOBAL', 'global', 450, 'average']);
+  });
+
+  it('answers the global level with the extension\'s own fallback by default', async () => {
+    const bundled = await createCarbonIntensity({ env: {} }).lookup({ zone: 'ZZ' });
+    const empty = await createCarbonIntensity({ env: {}, providers: [] }).lookup({ zone: 'ZZ' });
+    assert.deepEqual([bundled.level, bundled.gCO2_per_kWh], ['global', GreenEmissions.GLOBAL_GRID_INTENSITY]);
+    assert.deepEqual([empty.source, empty.gCO2_per_kWh], ['fallback_default', GreenEmissions.GLOBAL_GRID_INTENSITY]);
+  });
+
+  it('uses the exact hour from a series, else the local-hour profile', async () => {
+    const exact = await lookup({ zone: 'US-CA', ts: '2026-06-01T20:15:00Z' });
+    assert.deepEqual([exact.gCO2_per_kWh, exact.resolution, exact.hour], [42, 'hourly_series', '2026-06-01T20']);
+    // 03:30 UTC is 19:30 at UTC-8
+    const profiled = await lookup({ zone: 'US-CA', ts: String(Date.parse('2026-06-02T03:30:00Z')) });
+    assert.deepEqual([profiled.gCO2_per_kWh, profiled.resolution, profiled.localHour], [119, 'hourly_profile', 19]);
+    assert.equal((await lookup({ zone: 'US-CA', hour: '0' })).gCO2_per_kWh, 100);
+    // zones without a profile keep their average
+    assert.equal((await lookup({ zone: 'US', hour: '5' })).resolution, 'average');
+  });
+
+  it('rejects malformed zones and times', async () => {
+    await assert.rejects(lookup({ zone: 'not a zone' }), { status: 400 });
+    await assert.rejects(lookup({ zone: 'US', ts: 'yesterday' }), { status: 400 });
+  });
+});
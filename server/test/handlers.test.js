@@ -0,0 +1,61 @@
+// server/test/handlers.test.js
+// The shared handlers that both Express and the Vercel functions mount.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHandlers } = require('../core');
+const { MemoryRepository } = require('../storage/memory');
+
+const req = (over = {}) => Object.assign({ method: 'GET', query: {}, headers: {}, body: null, params: {} }, over);
+
+describe('core handlers', () => {
+  it('accepts camelCase and snake_case records as the same shape', async () => {
+    const h = createHandlers({ repository: new MemoryRepository(), env: {} });
+    const res = await h.ingest(req({ method: 'POST', body: { records: [
+      { id: 'a', ts: '2026-05-01T10:00:00Z', origin: 'https://a.example', transferBytes: 100, estimatedCO2_g: 0.5 },
+      { id: 'b', ts: '2026-05-01T11:00:00Z', origin: 'https://a.example', transfer_bytes: 300, estimated_co2_g: 1.5 }
+    ] } }));
+    assert.deepEqual(res, { status: 200, body: { status: 'ok', accepted: 2, ids: ['a', 'b'] } });
+    const visits = await h.visits(req());
+    assert.deepEqual(visits.body.data.map(v => [v.id, v.ts, v.transferBytes]), [['b', '2026-05-01T11:00:00.000Z', 300], ['a', '2026-05-01T10:00:00.000Z', 100]]);
+    assert.deepEqual(visits.body.totals, { visits: 2, bytes: 400, co2: 2 });
+  });
+
+  it('rejects invalid records, oversized batches and bad keys', async () => {
+    const h = createHandlers({ repository: new MemoryRepository(), env: { INGEST_API_KEY: 'k' } });
+    const key = { 'x-api-key': 'k' };
+    assert.equal((await h.ingest(req({ method: 'POST', body: { id: 'a' } }))).status, 401);
+    assert.equal((await h.ingest(req({ method: 'POST', headers: key, body: [{ ts: 'x' }] }))).status, 400);
+    assert.equal((await h.ingest(req({ method: 'POST', headers: key, body: { id: 'a', ts: 'not a date' } }))).status, 400);
+    const big = Array.from({ length: 501 }, (_, i) => ({ id: String(i) }));
+    assert.equal((await h.ingest(req({ method: 'POST', headers: key, body: big }))).status, 413);
+    assert.equal((await h.visits(req({ query: { limit: '0' } }))).status, 400);
+    assert.equal((await h.deleteVisits(req({ headers: key }))).status, 400);
+  });
+
+  it('applies the server URL privacy floor on ingest', async () => {
+    const h = createHandlers({ repository: new MemoryRepository(), env: { URL_PRIVACY: 'pattern' } });
+    await h.ingest(req({ method: 'POST', body: [
+      { id: 'a', url: 'https://social.example/u/MdZahin/?token=x', title: 'MdZahin - profile' },
+      // already more private than the floor: stored as sent
+      { id: 'b', url: 'https://social.example/', title: null, urlPrivacy: 'origin' }
+    ] }));
+    const data = (await h.visits(req())).body.data;
+    assert.deepEqual(data.map(v => [v.id, v.url, v.title]).sort(), [['a', 'https://social.example/u/*/', null], ['b', 'https://social.example/', null]]);
+    assert.throws(() => createHandlers({ env: { URL_PRIVACY: 'nope' } }), /URL_PRIVACY/);
+  });
+
+  it('strips query strings and titles by default', async () => {
+    const h = createHandlers({ repository: new MemoryRepository(), env: {} });
+    await h.ingest(req({ method: 'POST', body: { id: 'a', url: 'https://shop.example/cart?session=x#pay', title: 'Your cart' } }));
+    const [v] = (await h.visits(req())).body.data;
+    assert.deepEqual([v.url, v.title], ['https://shop.example/cart', null]);
+  });
+
+  it('resolves carbon intensity without a repository', async () => {
+    const h = createHandlers({ repository: () => { throw new Error('not needed'); }, env: {} });
+    const gb = (await h.carbonIntensity(req({ query: { country: 'gb' } }))).body;
+    assert.deepEqual([gb.country, gb.level, gb.gCO2_per_kWh], ['GB', 'country', 200]);
+    assert.equal((await h.carbonIntensity(req({ query: { country: 'ZZ' } }))).body.level, 'global');
+    assert.equal((await h.carbonIntensity(req({ query: { zone: 'US-CA', hour: '24' } }))).status, 400);
+  });
+});
@@ -0,0 +1,119 @@
+// server/test/providers.test.js
+// Carbon-intensity providers: the REST provider against a local stub server, CSV datasets,
+// chaining, per-provider caching and health.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createProviders } = require('../core/providers');
+const { parseCsvDataset } = require('../core/providers/dataset');
+const { createCarbonIntensity } = require('../core/carbon_intensity');
+const { createHandlers } = require('../core');
+
+// Electricity Maps-style stub: US-CA is covered, US-TX fails, everything else is 404
+function startStub() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://stub');
+    requests.push({ path: url.pathname, zone: url.searchParams.get('zone'), datetime: url.searchParams.get('datetime'), token: req.headers['auth-token'] });
+    const send = (status, body) => { res.writeHead(status, { 'content-type': 'application/json' }); res.end(JSON.stringify(body)); };
+    if (req.headers['auth-token'] !== 'secret') return send(401, { error: 'unauthorized' });
+    const zone = url.searchParams.get('zone');
+    if (zone === 'US-TX') return send(500, { error: 'boom' });
+    if (zone !== 'US-CA') return send(404, { error: 'zone not found' });
+    if (url.pathname === '/v3/carbon-intensity/latest') return send(200, { zone, carbonIntensity: 180, datetime: '2026-10-19T12:00:00.000Z', updatedAt: '2026-10-19T12:05:00.000Z' });
+    if (url.pathname === '/v3/carbon-intensity/past') return send(200, { zone, carbonIntensity: 250, datetime: url.searchParams.get('datetime') });
+    send(404, {});
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/v3` })));
+}
+
+describe('carbon-intensity providers', () => {
+  let stub;
+  let dir;
+  let csv;
+
+  before(async () => {
+    stub = await startStub();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-providers-'));
+    csv = path.join(dir, 'grid.csv');
+    fs.writeFileSync(csv, 'zone,gCO2_per_kWh,note\nUS,350,"national, annual"\nUS-TX,400,\n');
+  });
+
+  after(() => {
+    stub.server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const chain = (token = 'secret') => createProviders({
+    env: { EM_TOKEN: token },
+    configs: [
+      { type: 'rest', name: 'stub', baseUrl: stub.url, apiKeyEnv: 'EM_TOKEN', cacheTtl_s: 60 },
+      { type: 'file', name: 'csv', path: csv },
+      { type: 'static', values: { GLOBAL: 500 } }
+    ]
+  });
+
+  it('reads live and past values from the REST API with the auth header', async () => {
+    const { lookup } = createCarbonIntensity({ providers: chain() });
+    const live = await lookup({ zone: 'US-CA' });
+    assert.deepEqual([live.gCO2_per_kWh, live.level, live.resolution, live.source, live.lastUpdated], [180, 'region', 'live', 'stub', '2026-10-19T12:05:00.000Z']);
+    const past = await lookup({ zone: 'US-CA', ts: '2026-01-01T08:30:00Z' });
+    assert.deepEqual([past.gCO2_per_kWh, past.resolution, past.hour], [250, 'hourly_series', '2026-01-01T08']);
+    assert.equal(stub.requests.at(-1).path, '/v3/carbon-intensity/past');
+    assert.ok(stub.requests.every(r => r.token === 'secret'));
+  });
+
+  it('falls through the chain on missing zones and errors, and reports health', async () => {
+    const providers = chain();
+    const { lookup, health } = createCarbonIntensity({ providers });
+    const pick = p => [p.name, p.priority, p.ok, p.errors, p.lastError];
+    // 500 from the API: the CSV answers for the region
+    const tx = await lookup({ zone: 'US-TX' });
+    assert.deepEqual([tx.gCO2_per_kWh, tx.level, tx.source], [400, 'region', 'csv']);
+    assert.deepEqual(pick(health()[0]), ['stub', 1, false, 1, 'HTTP 500']);
+    // 404 for US-NY and US: the CSV country value
+    const ny = await lookup({ zone: 'US-NY' });
+    assert.deepEqual([ny.gCO2_per_kWh, ny.level, ny.matchedZone, ny.source], [350, 'country', 'US', 'csv']);
+    // neither the API nor the CSV has GLOBAL
+    assert.deepEqual([(await lookup({ zone: 'FR' })).gCO2_per_kWh, (await lookup({ zone: 'FR' })).source], [500, 'static_map']);
+    // later answers (404 = zone not covered) clear the failing state but keep the last error
+    const [rest, file, fixed] = health();
+    assert.deepEqual(pick(rest), ['stub', 1, true, 1, 'HTTP 500']);
+    assert.deepEqual([file.name, file.ok, file.zones], ['csv', true, 2]);
+    assert.equal(fixed.type, 'static');
+  });
+
+  it('caches per provider', async () => {
+    const { lookup, health } = createCarbonIntensity({ providers: chain() });
+    const before = stub.requests.length;
+    await lookup({ zone: 'US-CA' });
+    await lookup({ zone: 'US-CA' });
+    assert.equal(stub.requests.length, before + 1);
+    const rest = health()[0];
+    assert.deepEqual([rest.hits, rest.misses, rest.cacheEntries], [1, 1, 1]);
+  });
+
+  it('treats a rejected API key as a provider error', async () => {
+    const { lookup, health } = createCarbonIntensity({ providers: chain('wrong') });
+    assert.equal((await lookup({ zone: 'US-CA' })).source, 'csv');
+    assert.equal(health()[0].lastError, 'HTTP 401');
+  });
+
+  it('parses CSV datasets with hourly profiles and rejects unknown layouts', () => {
+    const hours = Array.from({ length: 24 }, (_, h) => `AU-SA,${100 + h},${h},9.5`).join('\n');
+    const ds = parseCsvDataset(`zone,gCO2_per_kWh,hour,utcOffset_h\n${hours}\nAU,500,,\n`);
+    assert.equal(ds.zones['AU-SA'].hourly[23], 123);
+    assert.equal(ds.zones['AU-SA'].average, 111.5);
+    assert.equal(ds.zones.AU.average, 500);
+    assert.throws(() => parseCsvDataset('code,value\nUS,350\n'), /header needs zone/);
+  });
+
+  it('serves the provider list through the shared handlers', async () => {
+    const h = createHandlers({ repository: null, env: {}, providers: chain() });
+    const res = await h.carbonIntensityProviders({ method: 'GET', query: {}, headers: {}, params: {} });
+    assert.deepEqual(res.body.providers.map(p => [p.priority, p.name, p.type]), [[1, 'stub', 'rest'], [2, 'csv', 'file'], [3, 'static_map', 'static']]);
+  });
+});
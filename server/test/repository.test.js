@@ -0,0 +1,112 @@
+// server/test/repository.test.js
+// Conformance suite: every storage backend must give the same answers. Run with `npm test`.
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Q = require('../query');
+const { BACKENDS, createRepository } = require('../storage');
+
+function sqliteAvailable() {
+  try {
+    require('better-sqlite3');
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+const VISITS = [
+  { id: 'a', ts: '2026-03-02T09:15:00.000Z', url: 'https://news.example/a?x=1', origin: 'https://news.example', transferBytes: 1200, resourceCount: 10, loadTimeMs: 300, estimatedCO2_g: 0.5, title: 'Morning news' },
+  { id: 'b', ts: '2026-03-02T09:40:00.000Z', url: 'https://video.example/watch', origin: 'https://video.example', transferBytes: 50000, estimatedCO2_g: 4, title: '100% cats' },
+  { id: 'c', ts: '2026-03-09T18:00:00.000Z', url: 'https://news.example/c', origin: 'https://news.example', transferBytes: 800, estimatedCO2_g: 0.25 },
+  { id: 'd', ts: '2026-03-09T18:00:00.000Z', url: 'https://shop.example/', origin: 'https://shop.example', transferBytes: 3000, estimatedCO2_g: 1 },
+  { id: 'e', ts: '2026-04-01T00:30:00.000Z', url: 'https://news.example/e', origin: 'https://news.example', transferBytes: 400, estimatedCO2_g: 0.125 }
+];
+
+for (const backend of BACKENDS) {
+  const skip = backend === 'sqlite' && !sqliteAvailable() ? 'better-sqlite3 not installed' : false;
+
+  describe(`${backend} repository`, { skip }, () => {
+    let dir;
+    let repo;
+    const open = () => createRepository(backend, dir && path.join(dir, backend === 'jsonl' ? 'visits.jsonl' : 'visits.db'));
+
+    beforeEach(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-repo-'));
+      repo = open();
+      await repo.insertVisits(VISITS);
+    });
+
+    afterEach(async () => {
+      await repo.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('lists visits newest first with totals and titles', async () => {
+      const res = await repo.queryVisits();
+      assert.deepEqual(res.data.map(v => v.id), ['e', 'd', 'c', 'b', 'a']);
+      assert.deepEqual(res.totals, { visits: 5, bytes: 55400, co2: 5.875 });
+      assert.equal(res.data[4].title, 'Morning news');
+      assert.equal(res.data[4].resourceCount, 10);
+      assert.equal(res.nextCursor, null);
+    });
+
+    it('replaces a record re-inserted with the same id', async () => {
+      await repo.insertVisit(Object.assign({}, VISITS[0], { transferBytes: 2000 }));
+      const res = await repo.queryVisits({ origin: 'https://news.example' });
+      assert.equal(res.totals.visits, 3);
+      assert.equal(res.data.find(v => v.id === 'a').transferBytes, 2000);
+    });
+
+    it('applies date, origin, size and text filters', async () => {
+      const ids = async (query) => (await repo.queryVisits(Q.parseFilter(query))).data.map(v => v.id);
+      assert.deepEqual(await ids({ from: '2026-03-02', to: '2026-03-02' }), ['b', 'a']);
+      assert.deepEqual(await ids({ from: '2026-03-09T18:00:00Z' }), ['e', 'd', 'c']);
+      assert.deepEqual(await ids({ origin: 'https://news.example', minBytes: '500' }), ['c', 'a']);
+      assert.deepEqual(await ids({ q: 'NEWS' }), ['e', 'c', 'a']);
+      assert.deepEqual(await ids({ q: '100%' }), ['b']);
+      assert.deepEqual(await ids({ q: '_' }), []);
+    });
+
+    it('pages with a cursor, including rows that share a timestamp', async () => {
+      const seen = [];
+      let cursor = null;
+      do {
+        const res = await repo.queryVisits({}, { limit: 2, cursor: cursor && Q.decodeCursor(cursor) });
+        assert.equal(res.totals.visits, 5);
+        seen.push(...res.data.map(v => v.id));
+        cursor = res.nextCursor;
+      } while (cursor);
+      assert.deepEqual(seen, ['e', 'd', 'c', 'b', 'a']);
+    });
+
+    it('aggregates by time bucket and origin', async () => {
+      const keys = async (groupBy, filter) => (await repo.aggregate(groupBy, filter)).data.map(g => [g[groupBy], g.visits]);
+      assert.deepEqual(await keys('day'), [['2026-04-01', 1], ['2026-03-09', 2], ['2026-03-02', 2]]);
+      assert.deepEqual(await keys('hour', Q.parseFilter({ to: '2026-03-02' })), [['2026-03-02T09:00', 2]]);
+      assert.deepEqual(await keys('week'), [['2026-W13', 1], ['2026-W10', 2], ['2026-W09', 2]]);
+      assert.deepEqual(await keys('month'), [['2026-04', 1], ['2026-03', 4]]);
+      const byOrigin = await repo.aggregate('origin', {}, { limit: 2 });
+      assert.deepEqual(byOrigin.data.map(g => g.origin), ['https://video.example', 'https://shop.example']);
+      assert.deepEqual(byOrigin.totals, { visits: 5, bytes: 55400, co2: 5.875 });
+      const news = (await repo.aggregate('origin', { origin: 'https://news.example' })).data[0];
+      assert.deepEqual(news, { origin: 'https://news.example', visits: 3, bytes: 2400, co2: 0.875 });
+    });
+
+    it('deletes by id and by filter', async () => {
+      assert.deepEqual(await repo.delete({ ids: ['b', 'missing'] }), { deleted: 1 });
+      assert.deepEqual(await repo.delete(Q.parseFilter({ origin: 'https://news.example', to: '2026-03-31' })), { deleted: 2 });
+      assert.deepEqual((await repo.queryVisits()).data.map(v => v.id), ['e', 'd']);
+    });
+
+    it('keeps data across reopen when file-backed', { skip: backend === 'memory' }, async () => {
+      await repo.delete({ ids: ['a'] });
+      await repo.insertVisit({ id: 'f', ts: '2026-04-02T00:00:00.000Z', url: 'https://x.example/', origin: 'https://x.example' });
+      await repo.close();
+      repo = open();
+      assert.deepEqual((await repo.queryVisits()).data.map(v => v.id), ['f', 'e', 'd', 'c', 'b']);
+    });
+  });
+}
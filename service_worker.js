@@ -1,115 +1,1079 @@
 // service_worker.js
 // Runs in background as service worker (MV3). Responsible for storing visit records and aggregates.
 
-const DEFAULTS = {
-  energyFactor_mJ_per_byte: 1e-6,
-  co2Factor_g_per_byte: 1e-6
-};
+importScripts('settings_schema.js', 'emissions_model.js', 'visit_store.js', 'budgets.js', 'url_privacy.js', 'site_rules.js', 'media_model.js', 'device_model.js', 'audit_rules.js', 'eco_mode.js');
 
-async function getSettings() {
+// Settings are defined, defaulted, validated and migrated by settings_schema.js.
+function getSettings() {
   return new Promise((resolve) => {
     chrome.storage.local.get('settings', s => {
-      const current = s.settings || {};
-      const st = Object.assign({}, DEFAULTS, current, {
-        syncEnabled: true,
-        serverUrl: current.serverUrl || 'http://localhost:4000',
-        apiKey: current.apiKey || ''
-      });
-      chrome.storage.local.set({ settings: st }, () => {
-        console.log('settings saved', st);
-        resolve(st); // ✅ return the settings object
-      });
+      const { settings, errors } = GreenSettings.normalize(s.settings);
+      if (errors.length) console.warn('invalid settings replaced by defaults', errors);
+      // persist migrations/repairs so every context reads the same shape
+      if (!s.settings || Number(s.settings.settingsVersion) !== GreenSettings.VERSION || errors.length) {
+        chrome.storage.local.set({ settings });
+      }
+      resolve(settings);
+    });
+  });
+}
+
+// A visit is "returning" when its origin already has aggregates from an earlier visit.
+function getVisitType(origin) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['aggregates'], (items) => {
+      const byOrigin = (items.aggregates && items.aggregates.byOrigin) || {};
+      resolve(byOrigin[origin] && byOrigin[origin].visits > 0 ? 'returning' : 'first');
     });
   });
 }
 
-async function saveVisit(record) {
-  const {ts, origin, transferBytes} = record;
+// ---------- Grid carbon intensity ----------
+// Fetched from the configured server's /carbon-intensity endpoint for the region and current
+// hour, and cached per region until the hour changes. Only the region and hour are sent, so
+// this doesn't wait for sync to be enabled. Failures back off like the outbox (per server URL),
+// so an unreachable server isn't asked again on every visit.
+const GRID_CACHE_TTL_MS = 3600 * 1000;
+
+// 'auto' uses the region subtag of the browser locale (en-GB -> GB), else the global average.
+function resolveRegion(settings) {
+  const configured = String(settings.gridRegion || 'auto').trim().toUpperCase();
+  if (configured && configured !== 'AUTO') return configured;
+  const lang = (self.navigator && self.navigator.language) || '';
+  const m = lang.match(/[-_]([A-Za-z]{2})$/);
+  return m ? m[1].toUpperCase() : 'GLOBAL';
+}
+
+function getGridIntensity(settings) {
+  const region = resolveRegion(settings);
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['gridIntensityCache', 'gridIntensityBackoff'], async (items) => {
+      const cache = items.gridIntensityCache || {};
+      const base = (settings.serverUrl || '').replace(/\/$/, '');
+      const backoff = items.gridIntensityBackoff && items.gridIntensityBackoff.url === base
+        ? items.gridIntensityBackoff
+        : { url: base, attempts: 0, retryAt: 0 };
+      const hit = cache[region];
+      const now = new Date();
+      const hour = now.toISOString().slice(0, 13);
+      if (hit && hit.hour === hour && (Date.now() - hit.fetchedAt) < GRID_CACHE_TTL_MS) return resolve(hit);
+      if (base && Date.now() >= backoff.retryAt) {
+        try {
+          const url = base + '/carbon-intensity?zone=' + encodeURIComponent(region) + '&ts=' + encodeURIComponent(now.toISOString());
+          const res = await fetch(url);
+          if (!res.ok) throw new Error('HTTP ' + res.status);
+          const body = await res.json();
+          const value = Number(body.gCO2_per_kWh);
+          if (!Number.isFinite(value) || value <= 0) throw new Error('invalid gCO2_per_kWh');
+          // level: which fallback answered (region, country or global)
+          const entry = { region, hour, value, source: body.source || 'server', level: body.level || null, fetchedAt: Date.now() };
+          cache[region] = entry;
+          chrome.storage.local.set({ gridIntensityCache: cache });
+          if (backoff.attempts) chrome.storage.local.remove('gridIntensityBackoff');
+          return resolve(entry);
+        } catch (e) {
+          backoff.attempts += 1;
+          const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * Math.pow(2, backoff.attempts - 1));
+          backoff.retryAt = Date.now() + delay;
+          chrome.storage.local.set({ gridIntensityBackoff: backoff });
+          console.warn('grid intensity fetch failed', region, e, 'next try in', Math.round(delay / 1000), 's');
+        }
+      }
+      // stale cache beats the global default
+      if (hit) return resolve(Object.assign({}, hit, { source: hit.source + ' (stale)' }));
+      resolve({ region, value: GreenEmissions.GLOBAL_GRID_INTENSITY, source: 'default_global', fetchedAt: null });
+    });
+  });
+}
+
+// ---------- Sync outbox ----------
+// Records waiting for upload live in chrome.storage.local under `outbox` so they survive
+// offline periods and service-worker restarts. Uploads go out in batches to POST /ingest
+// ({records: [...]}, idempotent on id); failures are retried with exponential backoff via
+// chrome.alarms. `syncStatus` mirrors the queue state for the dashboard.
+const OUTBOX_MAX = 5000;
+const OUTBOX_BATCH_SIZE = 50;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const RETRY_ALARM = 'outbox-retry';
+
+// serialize read-modify-write cycles on the outbox
+let outboxLock = Promise.resolve();
+function withOutbox(fn) {
+  const run = outboxLock.then(() => new Promise((resolve) => {
+    chrome.storage.local.get(['outbox', 'syncStatus'], (items) => {
+      const outbox = Array.isArray(items.outbox) ? items.outbox : [];
+      const status = Object.assign({ pending: 0, lastSuccess: null, lastError: null, lastErrorAt: null, attempts: 0, nextAttemptAt: null, dropped: 0 }, items.syncStatus || {});
+      const result = fn(outbox, status) || {};
+      const next = result.outbox || outbox;
+      status.pending = next.length;
+      chrome.storage.local.set({ outbox: next, syncStatus: status }, () => resolve(result.value));
+    });
+  }));
+  outboxLock = run.catch(() => {});
+  return run;
+}
+
+// A record already queued (same id) is replaced by its newer state, e.g. after a session delta.
+function enqueueForSync(record) {
+  return withOutbox((outbox, status) => {
+    const queued = outbox.findIndex(r => r && r.id === record.id);
+    if (queued >= 0) {
+      outbox[queued] = record;
+      return { outbox };
+    }
+    outbox.push(record);
+    // drop the oldest entries rather than exceed the storage quota
+    while (outbox.length > OUTBOX_MAX) { outbox.shift(); status.dropped += 1; }
+    return { outbox };
+  });
+}
+
+function scheduleRetry(attempts) {
+  const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)));
+  const when = Date.now() + delay * (0.8 + Math.random() * 0.4);
+  chrome.alarms.create(RETRY_ALARM, { when });
+  return when;
+}
+
+let flushing = null;
+function flushOutbox() {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    const settings = await getSettings();
+    if (!settings.syncEnabled || !settings.serverUrl) return;
+    for (;;) {
+      const batch = await withOutbox(outbox => ({ value: outbox.slice(0, OUTBOX_BATCH_SIZE) }));
+      if (!batch.length) break;
+      try {
+        const res = await fetch(settings.serverUrl.replace(/\/$/, '') + '/ingest', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(settings.apiKey ? {'x-api-key': settings.apiKey} : {})
+          },
+          body: JSON.stringify({ records: batch })
+        });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const sent = new Set(batch.map(r => r.id));
+        await withOutbox((outbox, status) => {
+          status.lastSuccess = new Date().toISOString();
+          status.attempts = 0;
+          status.nextAttemptAt = null;
+          return { outbox: outbox.filter(r => !sent.has(r.id)) };
+        });
+      } catch (e) {
+        console.warn('sync failed', e);
+        await withOutbox((outbox, status) => {
+          status.attempts += 1;
+          status.lastError = String(e && e.message || e);
+          status.lastErrorAt = new Date().toISOString();
+          status.nextAttemptAt = new Date(scheduleRetry(status.attempts)).toISOString();
+        });
+        break;
+      }
+    }
+  })().finally(() => { flushing = null; });
+  return flushing;
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RETRY_ALARM) flushOutbox();
+});
+chrome.runtime.onStartup.addListener(() => { flushOutbox(); });
+self.addEventListener('online', () => { flushOutbox(); });
+
+// ---------- Aggregates ----------
+// `visits` is 0 when adding a session delta to a visit that is already counted.
+function addToAggregates(ag, record, visits = 1) {
+  ag.byOrigin = ag.byOrigin || {};
+  ag.byDay = ag.byDay || {};
+  const origin = record.origin || 'unknown';
+  const day = new Date(record.ts).toISOString().slice(0,10);
+  ag.byOrigin[origin] = ag.byOrigin[origin] || {visits:0, bytes:0, co2:0};
+  ag.byOrigin[origin].visits += visits;
+  ag.byOrigin[origin].bytes += Number(record.transferBytes || 0);
+  ag.byOrigin[origin].co2 = (Number(ag.byOrigin[origin].co2) || 0) + Number(record.estimatedCO2_g || 0);
+
+  ag.byDay[day] = ag.byDay[day] || {visits:0, bytes:0, co2:0};
+  ag.byDay[day].visits += visits;
+  ag.byDay[day].bytes += Number(record.transferBytes || 0);
+  ag.byDay[day].co2 = (Number(ag.byDay[day].co2) || 0) + Number(record.estimatedCO2_g || 0);
+  addThirdParties(ag, record, visits);
+  return ag;
+}
+
+// Attributes bytes and a proportional share of the visit's CO2 to each third-party host,
+// keeping per-origin totals so the dashboard can drill down.
+function addThirdParties(ag, record, visits = 1) {
+  ag.byThirdParty = ag.byThirdParty || {};
+  const hosts = (record.breakdown && record.breakdown.thirdPartyHosts) || {};
+  const total = Number(record.transferBytes || 0);
+  const co2 = Number(record.estimatedCO2_g || 0);
+  const origin = record.origin || 'unknown';
+  Object.entries(hosts).forEach(([host, b]) => {
+    const bytes = Number(b.bytes || 0);
+    const share = total > 0 ? co2 * (bytes / total) : 0;
+    const tp = ag.byThirdParty[host] = ag.byThirdParty[host] || {bytes:0, co2:0, requests:0, sites:{}};
+    tp.bytes += bytes;
+    tp.co2 += share;
+    tp.requests += Number(b.count || 0);
+    const site = tp.sites[origin] = tp.sites[origin] || {visits:0, bytes:0, co2:0};
+    site.visits += visits;
+    site.bytes += bytes;
+    site.co2 += share;
+  });
+}
+
+// serialize read-modify-write cycles on aggregates so concurrent visits don't lose updates
+let aggregatesLock = Promise.resolve();
+function withAggregates(fn) {
+  const run = aggregatesLock.then(() => new Promise((resolve) => {
+    chrome.storage.local.get(['aggregates'], (items) => {
+      const ag = items.aggregates || {byOrigin: {}, byDay: {}, byThirdParty: {}};
+      const value = fn(ag);
+      chrome.storage.local.set({ aggregates: ag }, () => resolve(value));
+    });
+  }));
+  aggregatesLock = run.catch(() => {});
+  return run;
+}
+
+// ---------- Storage migration ----------
+// Visits used to live in chrome.storage.local as one array under `visits`. Move them into
+// IndexedDB once, rebuild aggregates if they are missing, and drop the old key.
+function migrateStorage() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['visits', 'aggregates'], async (items) => {
+      try {
+        const legacy = Array.isArray(items.visits) ? items.visits.filter(v => v && v.id && v.ts) : [];
+        if (legacy.length) await VisitStore.putMany(legacy);
+        let ag = items.aggregates;
+        if (!ag || !ag.byOrigin || !ag.byDay) {
+          ag = rebuildAggregates(await VisitStore.query());
+        } else if (!ag.byThirdParty) {
+          // aggregates written before third-party attribution existed: backfill from stored visits
+          (await VisitStore.query()).forEach(v => addThirdParties(ag, v));
+        }
+        chrome.storage.local.set({ aggregates: ag }, () => {
+          if (!('visits' in items)) return resolve();
+          chrome.storage.local.remove('visits', () => {
+            console.log('migrated visits to IndexedDB', legacy.length);
+            resolve();
+          });
+        });
+      } catch (e) {
+        console.error('storage migration failed; keeping legacy visits key', e);
+        resolve();
+      }
+    });
+  });
+}
+
+const storageReady = migrateStorage();
+
+// ---------- Network byte accounting (webRequest) ----------
+// Resource Timing reports 0 bytes for cross-origin responses without Timing-Allow-Origin.
+// The content script lists those as `unmeasured`; each is sized from the Content-Length of
+// the matching completed request in the same tab, or from a typical size for its content
+// class when the request wasn't seen or had no Content-Length. The ledger is in memory:
+// webRequest events keep the worker alive while pages load, and a restart only turns a few
+// resources into estimates.
+const LEDGER_MAX_PER_TAB = 2000;
+// rough per-request medians (HTTP Archive) used when a size is unknown
+const TYPICAL_BYTES = { image: 40000, script: 25000, css: 12000, font: 30000, media: 250000, xhr: 4000, other: 8000 };
+const networkLedger = new Map(); // tabId -> { size, byUrl: Map(url -> [{ bytes, cached }]), assets: [], blocked: [] }
+// static assets from the network, with their caching headers, for the 'network' audit rules
+const AUDITED_TYPES = ['image', 'script', 'stylesheet', 'font'];
+const MAX_AUDITED_PER_TAB = 500;
+
+function ledgerKey(url) {
+  return String(url || '').split('#')[0];
+}
+
+chrome.webRequest.onCompleted.addListener((details) => {
+  if (details.tabId < 0) return;
+  const headerOf = (name) => ((details.responseHeaders || []).find(h => h.name.toLowerCase() === name) || {}).value;
+  const header = headerOf('content-length');
+  const length = header !== undefined ? Number(header) : NaN;
+  const tab = ledgerTab(details.tabId);
+  // a new document starts new lists
+  if (details.type === 'main_frame') {
+    tab.assets = [];
+    tab.blocked = [];
+  }
+  if (!details.fromCache && AUDITED_TYPES.includes(details.type) && tab.assets.length < MAX_AUDITED_PER_TAB) {
+    tab.assets.push({
+      url: details.url,
+      type: details.type,
+      bytes: Number.isFinite(length) ? length : null,
+      cacheControl: headerOf('cache-control') || '',
+      expires: headerOf('expires') || ''
+    });
+  }
+  const key = ledgerKey(details.url);
+  const list = tab.byUrl.get(key) || [];
+  // cache hits cost no network bytes; `cached` is the size served from the cache instead
+  const size = Number.isFinite(length) && length >= 0 ? length : null;
+  list.push(details.fromCache ? { bytes: 0, cached: size, fromCache: true } : { bytes: size, cached: 0, fromCache: false });
+  tab.byUrl.set(key, list);
+  tab.size += 1;
+  while (tab.size > LEDGER_MAX_PER_TAB) {
+    const [oldest, entries] = tab.byUrl.entries().next().value;
+    tab.byUrl.delete(oldest);
+    tab.size -= entries.length;
+  }
+}, { urls: ['<all_urls>'] }, ['responseHeaders']);
+
+function ledgerTab(tabId) {
+  let tab = networkLedger.get(tabId);
+  if (!tab) networkLedger.set(tabId, tab = { size: 0, byUrl: new Map(), assets: [], blocked: [] });
+  return tab;
+}
+
+function takeFromLedger(tabId, url) {
+  const tab = networkLedger.get(tabId);
+  const key = ledgerKey(url);
+  const list = tab && tab.byUrl.get(key);
+  if (!list || !list.length) return null;
+  const entry = list.shift();
+  tab.size -= 1;
+  if (!list.length) tab.byUrl.delete(key);
+  return entry;
+}
+
+// ---------- Eco mode (eco_mode.js) ----------
+// The blocklist is a dynamic declarativeNetRequest rule kept in line with the settings.
+// Blocked requests fail with ERR_BLOCKED_BY_CLIENT; those on the blocklist are logged on the
+// tab's visit as `blocked_requests`, each sized like an unmeasured request of its type.
+const WEBREQUEST_TYPES = { stylesheet: 'css', xmlhttprequest: 'xhr', ping: 'xhr', sub_frame: 'other' };
+let ecoBlocking = false;
+
+async function syncEcoRules() {
   const settings = await getSettings();
-  record.estimatedEnergy_mJ = (transferBytes || 0) * settings.energyFactor_mJ_per_byte;
-  record.estimatedCO2_g = (transferBytes || 0) * settings.co2Factor_g_per_byte;
-
-  chrome.storage.local.get(['settings'], (items) => {
-    const s = Object.assign({}, DEFAULTS, items.settings || {});
-    if (s.syncEnabled && s.serverUrl) {
-      fetch(s.serverUrl.replace(/\/$/, '') + '/ingest', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...(s.apiKey ? {'x-api-key': s.apiKey} : {})
-        },
-        body: JSON.stringify(record),
-      }).catch(e => console.warn('sync failed', e));
+  const addRules = GreenEco.blockRules(settings);
+  try {
+    await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds: [GreenEco.RULE_ID], addRules });
+    ecoBlocking = addRules.length > 0;
+  } catch (e) {
+    console.warn('eco blocklist update failed', e);
+  }
+}
+
+chrome.webRequest.onErrorOccurred.addListener((details) => {
+  if (!ecoBlocking || details.tabId < 0 || details.error !== 'net::ERR_BLOCKED_BY_CLIENT') return;
+  let host = '';
+  try { host = new URL(details.url).hostname; } catch (e) { return; }
+  if (!GreenEco.isBlockedHost(host)) return;
+  const tab = ledgerTab(details.tabId);
+  if (tab.blocked.length < MAX_AUDITED_PER_TAB) tab.blocked.push(WEBREQUEST_TYPES[details.type] || details.type);
+}, { urls: ['<all_urls>'] });
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.settings) syncEcoRules();
+});
+syncEcoRules();
+
+// Adds the tab's blocked requests to `payload.eco` and sizes lazy images; drops an empty section.
+function mergeEco(tabId, payload) {
+  const eco = GreenEco.addEco(GreenEco.emptyEco(), payload.eco);
+  const tab = networkLedger.get(tabId);
+  if (tab && tab.blocked.length) {
+    const bytes = tab.blocked.reduce((sum, type) => sum + (TYPICAL_BYTES[type] || TYPICAL_BYTES.other), 0);
+    GreenEco.addIntervention(eco, 'blocked_requests', tab.blocked.length, bytes);
+    tab.blocked = [];
+  }
+  const lazy = eco.byKind.lazy_images;
+  if (lazy && !lazy.bytes) lazy.bytes = lazy.count * TYPICAL_BYTES.image;
+  if (GreenEco.hasInterventions(eco)) payload.eco = eco;
+  else delete payload.eco;
+  return payload;
+}
+
+// bytes and grams avoided, with the same model as the visit's own estimate
+function priceEco(eco, settings, visitType, gridIntensity) {
+  if (!eco) return eco;
+  eco.avoidedBytes = Object.values(eco.byKind).reduce((sum, k) => sum + Number(k.bytes || 0), 0);
+  eco.avoidedCO2_g = GreenEmissions.estimate(eco.avoidedBytes, settings, { visitType, gridIntensity_g_per_kWh: gridIntensity }).estimatedCO2_g;
+  return eco;
+}
+
+// the tab's audited assets since the last record or delta
+function takeAssets(tabId) {
+  const tab = networkLedger.get(tabId);
+  if (!tab) return [];
+  const assets = tab.assets;
+  tab.assets = [];
+  return assets;
+}
+
+function addBytes(breakdown, key, name, bytes) {
+  const map = breakdown[key] = breakdown[key] || {};
+  const b = map[name] = map[name] || { bytes: 0, count: 0 };
+  b.bytes += bytes;
+}
+
+// Sizes `payload.unmeasured` (visit record or delta) and adds the bytes to transferBytes,
+// the breakdown and byteSources {measured, network, estimated}; cache hits go to `cache`
+// instead. The URL list is not kept.
+function mergeNetworkBytes(tabId, payload) {
+  const sources = payload.byteSources = Object.assign({ measured: 0, network: 0, estimated: 0 }, payload.byteSources);
+  const breakdown = payload.breakdown = payload.breakdown || {};
+  const cache = payload.cache = Object.assign(emptyCache(), payload.cache);
+  (Array.isArray(payload.unmeasured) ? payload.unmeasured : []).forEach(u => {
+    const seen = takeFromLedger(tabId, u.url);
+    if (seen && seen.fromCache) {
+      cache.hits += 1;
+      cache.bytes += seen.cached !== null ? seen.cached : (TYPICAL_BYTES[u.type] || TYPICAL_BYTES.other);
+      return;
     }
+    cache.misses += 1;
+    let bytes;
+    if (seen && seen.bytes !== null) {
+      bytes = seen.bytes;
+      sources.network += bytes;
+    } else {
+      bytes = TYPICAL_BYTES[u.type] || TYPICAL_BYTES.other;
+      sources.estimated += bytes;
+    }
+    if (!bytes) return;
+    payload.transferBytes = Number(payload.transferBytes || 0) + bytes;
+    addBytes(breakdown, 'byType', u.type || 'other', bytes);
+    if (u.party) addBytes(breakdown, 'byParty', u.party, bytes);
+    if (u.party === 'third' && u.host) addBytes(breakdown, 'thirdPartyHosts', u.host, bytes);
   });
-  chrome.storage.local.get(['visits','aggregates'], (items) => {
-    try {
-      const visits = Array.isArray(items.visits) ? items.visits.slice() : [];
+  delete payload.unmeasured;
+  return payload;
+}
 
-      // avoid inserting the same visit twice (same id)
-      if (!visits.some(v => v && v.id === record.id)) {
-        visits.push(record);
-      } else {
-        console.debug('saveVisit: duplicate record skipped', record.id);
+// ---------- Cache accounting ----------
+// `cache` on a visit: { bytes, hits, revalidated, misses } from the content script and the
+// webRequest ledger, plus hitRatio and savedCO2_g (what the cached bytes would have cost).
+function emptyCache() {
+  return { bytes: 0, hits: 0, revalidated: 0, misses: 0 };
+}
+
+function addCache(into, add) {
+  const out = Object.assign(emptyCache(), into);
+  ['bytes', 'hits', 'revalidated', 'misses'].forEach(k => { out[k] = Number(out[k] || 0) + Number((add && add[k]) || 0); });
+  return out;
+}
+
+function priceCache(cache, settings, gridIntensity) {
+  const served = cache.hits + cache.revalidated;
+  const requests = served + cache.misses;
+  cache.hitRatio = requests ? served / requests : null;
+  cache.savedCO2_g = GreenEmissions.estimate(cache.bytes, settings, { visitType: 'first', gridIntensity_g_per_kWh: gridIntensity }).estimatedCO2_g;
+  return cache;
+}
+
+// measured: every byte came from Resource Timing or a Content-Length; estimated: none did.
+function bytesQuality(sources) {
+  if (!sources || !sources.estimated) return 'measured';
+  return (sources.measured || sources.network) ? 'mixed' : 'estimated';
+}
+
+// Energy and CO2 of a visit's streaming estimate (media_model.js). Streamed bytes are never
+// "returning visit" cache hits, so the SWD first-visit factors apply.
+function estimateMedia(media, settings, gridIntensity) {
+  if (!media) return;
+  const est = GreenEmissions.estimate(media.bytes, settings, { visitType: 'first', gridIntensity_g_per_kWh: gridIntensity });
+  media.energy_kWh = est.emissions.energy_kWh;
+  media.estimatedCO2_g = est.estimatedCO2_g;
+}
+
+// ---------- Audits (audit_rules.js) ----------
+// Page findings arrive whole with every sample and replace the previous ones; network
+// findings only cover the requests since the last sample, so they are added up.
+function mergeFindings(previous, pageFindings, networkFindings) {
+  const prev = Array.isArray(previous) ? previous : [];
+  const page = Array.isArray(pageFindings) ? pageFindings : prev.filter(f => f.scope !== 'network');
+  const network = prev.filter(f => f.scope === 'network').map(f => Object.assign({}, f));
+  networkFindings.forEach(f => {
+    const t = network.find(n => n.code === f.code);
+    if (!t) return network.push(f);
+    t.count += f.count;
+    t.savingsBytes += f.savingsBytes;
+  });
+  return page.concat(network);
+}
+
+// grams each finding would save, with the visit's emissions model and grid intensity
+function priceFindings(findings, settings, visitType, gridIntensity) {
+  findings.forEach(f => {
+    f.savingsCO2_g = f.savingsBytes
+      ? GreenEmissions.estimate(f.savingsBytes, settings, { visitType, gridIntensity_g_per_kWh: gridIntensity }).estimatedCO2_g
+      : 0;
+  });
+  return findings;
+}
+
+// Energy used on the user's machine (device_model.js), at the user's own grid intensity.
+function estimateDevice(record, settings) {
+  record.device = GreenDevice.estimate(record, settings, record.gridIntensity_g_per_kWh);
+}
+
+// `page` is the sender's tab id, URL and incognito flag; the content script already skips excluded
+// pages, this re-checks with settings that may have changed since the record was taken.
+async function saveVisit(record, page = {}) {
+  const {origin} = record;
+  const settings = await getSettings();
+  const rules = GreenSiteRules.decide(page.url || record.url || origin, settings, { incognito: !!page.incognito });
+  if (!rules.track) return false;
+  if (!rules.sync) record.localOnly = true;
+  mergeNetworkBytes(page.tabId, record);
+  record.bytesQuality = bytesQuality(record.byteSources);
+  const visitType = await getVisitType(origin);
+  const grid = await getGridIntensity(settings);
+  const est = GreenEmissions.estimate(record.transferBytes || 0, settings, { visitType, gridIntensity_g_per_kWh: grid.value });
+  record.estimatedEnergy_mJ = est.estimatedEnergy_mJ;
+  record.estimatedCO2_g = est.estimatedCO2_g;
+  record.emissions = est.emissions;
+  record.gridRegion = grid.region;
+  record.gridIntensity_g_per_kWh = grid.value;
+  record.gridIntensitySource = grid.source;
+  record.gridIntensityLevel = grid.level || null;
+  estimateMedia(record.media, settings, grid.value);
+  estimateDevice(record, settings);
+  record.cache = priceCache(record.cache, settings, grid.value);
+  record.eco = priceEco(mergeEco(page.tabId, record).eco, settings, visitType, grid.value);
+  const network = GreenAudit.run('network', { requests: takeAssets(page.tabId) });
+  record.issues = priceFindings(mergeFindings([], record.issues || [], network), settings, visitType, grid.value);
+
+  if (settings.syncEnabled && settings.serverUrl && rules.sync) {
+    enqueueForSync(record).then(() => flushOutbox());
+  }
+  try {
+    await storageReady;
+    // avoid inserting the same visit twice (same id)
+    const stored = await VisitStore.put(record);
+    if (!stored) {
+      console.debug('saveVisit: duplicate record skipped', record.id);
+      return true;
+    }
+    await withAggregates(ag => addToAggregates(ag, stored));
+    console.debug('saveVisit: stored', {id: record.id, ts: record.ts, origin});
+    VisitStore.trim();
+  } catch (err) {
+    console.error('saveVisit: storage update failed', err);
+  }
+  return true;
+}
+
+// ---------- Session deltas ----------
+// While a page stays open the content script sends what it loaded since the last sample
+// ({id, seq, transferBytes, resourceCount, longTasks, longTaskMs, activeTime_s,
+// backgroundTime_s, breakdown, issues, final}); it is added to the stored visit, whose
+// estimates are recomputed.
+const COUNTERS = ['transferBytes', 'resourceCount', 'longTasks', 'longTaskMs', 'activeTime_s', 'backgroundTime_s'];
+
+function mergeBuckets(into, add) {
+  Object.entries(add || {}).forEach(([key, b]) => {
+    const t = into[key] = into[key] || { bytes: 0, count: 0 };
+    t.bytes += Number(b.bytes || 0);
+    t.count += Number(b.count || 0);
+  });
+  return into;
+}
+
+// serialize visit writes so a delta never races the record it belongs to
+let visitLock = Promise.resolve();
+function withVisitLock(fn) {
+  const run = visitLock.then(fn);
+  visitLock = run.catch(() => {});
+  return run;
+}
+
+// Resolves to the increase ({origin, ts, transferBytes, estimatedCO2_g, breakdown}) or null
+// when the delta was dropped (unknown visit, duplicate seq or the site is now excluded).
+async function applyVisitDelta(delta, page = {}) {
+  const settings = await getSettings();
+  mergeNetworkBytes(page.tabId, delta);
+  const networkFindings = GreenAudit.run('network', { requests: takeAssets(page.tabId) });
+  mergeEco(page.tabId, delta);
+  await storageReady;
+  let added = null;
+  const updated = await VisitStore.update(delta.id, (r) => {
+    if (!GreenSiteRules.decide(page.url || r.url || r.origin, settings, { incognito: !!page.incognito }).track) return null;
+    if (Number(r.sampleSeq || 0) >= Number(delta.seq)) return null;
+    const before = { bytes: Number(r.transferBytes || 0), co2: Number(r.estimatedCO2_g || 0) };
+    COUNTERS.forEach(k => { r[k] = Number(r[k] || 0) + Number(delta[k] || 0); });
+    const d = delta.breakdown || {};
+    r.breakdown = r.breakdown || {};
+    ['byType', 'byParty', 'thirdPartyHosts'].forEach(k => { r.breakdown[k] = mergeBuckets(r.breakdown[k] || {}, d[k]); });
+    r.byteSources = r.byteSources || { measured: 0, network: 0, estimated: 0 };
+    Object.keys(delta.byteSources).forEach(k => { r.byteSources[k] = Number(r.byteSources[k] || 0) + Number(delta.byteSources[k] || 0); });
+    r.bytesQuality = bytesQuality(r.byteSources);
+    if (delta.media) {
+      r.media = GreenMedia.addMedia(r.media || GreenMedia.emptyMedia(), delta.media);
+      estimateMedia(r.media, settings, r.gridIntensity_g_per_kWh);
+    }
+    r.sampleSeq = Number(delta.seq);
+    r.final = !!delta.final;
+    r.lastSampleAt = new Date().toISOString();
+    const est = GreenEmissions.estimate(r.transferBytes, settings, {
+      visitType: (r.emissions && r.emissions.visitType) || 'first',
+      gridIntensity_g_per_kWh: r.gridIntensity_g_per_kWh
+    });
+    r.estimatedEnergy_mJ = est.estimatedEnergy_mJ;
+    r.estimatedCO2_g = est.estimatedCO2_g;
+    r.emissions = est.emissions;
+    estimateDevice(r, settings);
+    r.cache = priceCache(addCache(r.cache, delta.cache), settings, r.gridIntensity_g_per_kWh);
+    if (delta.eco) {
+      r.eco = priceEco(GreenEco.addEco(r.eco || GreenEco.emptyEco(), delta.eco), settings,
+        (r.emissions && r.emissions.visitType) || 'first', r.gridIntensity_g_per_kWh);
+    }
+    r.issues = priceFindings(mergeFindings(r.issues, delta.issues, networkFindings), settings,
+      est.emissions.visitType || 'first', r.gridIntensity_g_per_kWh);
+    added = {
+      origin: r.origin,
+      ts: r.ts,
+      transferBytes: r.transferBytes - before.bytes,
+      estimatedCO2_g: r.estimatedCO2_g - before.co2,
+      breakdown: { thirdPartyHosts: d.thirdPartyHosts || {} }
+    };
+    return r;
+  });
+  if (!updated) return null;
+  await withAggregates(ag => addToAggregates(ag, added, 0));
+  if (settings.syncEnabled && settings.serverUrl && !updated.localOnly) {
+    // upload the finished visit; intermediate states wait in the outbox for the next flush
+    enqueueForSync(updated).then(() => { if (updated.final) flushOutbox(); });
+  }
+  return added;
+}
+
+// ---------- Site exclusions ----------
+// Adds the host to the deny list; open tabs on it drop their overlay via storage.onChanged.
+async function excludeSite(host) {
+  const settings = await getSettings();
+  const siteDenyList = GreenSiteRules.addPattern(settings.siteDenyList, host);
+  const { errors } = await GreenSettings.save({ siteDenyList });
+  if (errors.length) throw new Error(errors.map(e => e.message).join('; '));
+  return siteDenyList;
+}
+
+function removeFromAggregates(ag, record) {
+  const day = ag.byDay && ag.byDay[new Date(record.ts).toISOString().slice(0,10)];
+  if (!day) return;
+  day.visits = Math.max(0, day.visits - 1);
+  day.bytes = Math.max(0, day.bytes - Number(record.transferBytes || 0));
+  day.co2 = Math.max(0, day.co2 - Number(record.estimatedCO2_g || 0));
+}
+
+// Per-origin totals may include visits already trimmed from IndexedDB, so the origin's
+// entries are dropped entirely rather than decremented.
+function dropOriginFromAggregates(ag, origin) {
+  if (ag.byOrigin) delete ag.byOrigin[origin];
+  Object.entries(ag.byThirdParty || {}).forEach(([host, tp]) => {
+    const site = tp.sites && tp.sites[origin];
+    if (!site) return;
+    tp.bytes = Math.max(0, tp.bytes - site.bytes);
+    tp.co2 = Math.max(0, tp.co2 - site.co2);
+    delete tp.sites[origin];
+    if (!Object.keys(tp.sites).length) delete ag.byThirdParty[host];
+  });
+}
+
+// URL privacy levels that keep no path (url_privacy.js)
+const PATHLESS_PRIVACY = ['hashed', 'origin'];
+
+/**
+ * Delete stored visits for excluded sites: those matching `pattern`, or without one every
+ * visit the current allow/deny lists would no longer track. Also removes them from the
+ * aggregates and the sync outbox and, when syncing, from the server (DELETE /visits?origin=).
+ * A host pattern matches the visit's origin; a pattern with a path is refused when the site's
+ * visits were stored without paths, since it could match none of them.
+ * Resolves to { removed, origins, server: { deleted, errors } | null }.
+ */
+async function purgeExcluded(pattern) {
+  await storageReady;
+  const settings = await getSettings();
+  const visits = await VisitStore.query();
+  let excluded = v => !GreenSiteRules.decide(v.url || v.origin, settings).track;
+  const { host, path } = GreenSiteRules.splitPattern(pattern);
+  if (pattern && (!path || path === '/')) {
+    excluded = v => GreenSiteRules.matches(host, v.origin || v.url);
+  } else if (pattern) {
+    const pathless = visits.find(v => PATHLESS_PRIVACY.includes(v.urlPrivacy) && GreenSiteRules.matches(host, v.origin || v.url));
+    if (pathless) {
+      throw new Error(`"${pattern}" needs page paths, but visits to ${pathless.origin} are stored as ${pathless.urlPrivacy === 'origin' ? 'the origin only' : 'a hash'}; only a host pattern such as ${host} can select them`);
+    }
+    excluded = v => GreenSiteRules.matches(pattern, v.url || v.origin);
+  }
+  const doomed = visits.filter(excluded);
+  const origins = [...new Set(doomed.map(v => v.origin))];
+  const removed = doomed.length ? await VisitStore.remove(doomed.map(v => v.id)) : 0;
+  await withAggregates(ag => {
+    doomed.forEach(v => removeFromAggregates(ag, v));
+    origins.forEach(o => dropOriginFromAggregates(ag, o));
+  });
+  const ids = new Set(doomed.map(v => v.id));
+  await withOutbox(outbox => ({ outbox: outbox.filter(r => !ids.has(r.id) && !excluded(r)) }));
+  await new Promise((resolve) => {
+    chrome.storage.local.get(['lastAlertTimes'], (items) => {
+      const times = items.lastAlertTimes || {};
+      origins.forEach(o => delete times[o]);
+      chrome.storage.local.set({ lastAlertTimes: times }, resolve);
+    });
+  });
+
+  let server = null;
+  if (settings.syncEnabled && settings.serverUrl && origins.length) {
+    server = { deleted: 0, errors: [] };
+    for (const origin of origins) {
+      try {
+        const res = await fetch(settings.serverUrl.replace(/\/$/, '') + '/visits?origin=' + encodeURIComponent(origin), {
+          method: 'DELETE',
+          headers: settings.apiKey ? {'x-api-key': settings.apiKey} : {}
+        });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        server.deleted += Number((await res.json()).deleted || 0);
+      } catch (e) {
+        server.errors.push(`${origin}: ${e.message}`);
       }
+    }
+  }
+  return { removed, origins, server };
+}
 
-      // keep last 10k visits max
-      while (visits.length > 10000) visits.shift();
-
-      // update aggregates together
-      const ag = items.aggregates || {byOrigin: {}, byDay: {}};
-      const day = new Date(ts).toISOString().slice(0,10);
-      ag.byOrigin[origin] = ag.byOrigin[origin] || {visits:0, bytes:0, co2:0};
-      ag.byOrigin[origin].visits += 1;
-      ag.byOrigin[origin].bytes += Number(transferBytes || 0);
-      ag.byOrigin[origin].co2 = (Number(ag.byOrigin[origin].co2) || 0) + Number(record.estimatedCO2_g || 0);
-
-      ag.byDay[day] = ag.byDay[day] || {visits:0, bytes:0, co2:0};
-      ag.byDay[day].visits += 1;
-      ag.byDay[day].bytes += Number(transferBytes || 0);
-      ag.byDay[day].co2 = (Number(ag.byDay[day].co2) || 0) + Number(record.estimatedCO2_g || 0);
-
-      // write both keys in a single set call to reduce race windows
-      chrome.storage.local.set({visits, aggregates: ag}, () => {
-        console.debug('saveVisit: stored', {id: record.id, ts: record.ts, origin});
+// ---------- Backup / restore / CSV import ----------
+const BACKUP_FORMAT = 'green-browsing-backup';
+const BACKUP_VERSION = 1;
+const CSV_HEADER = ['ts','origin','url','title','transferBytes','resourceCount','loadTimeMs','estimatedCO2_g'];
+const CSV_NUMERIC = ['transferBytes','resourceCount','loadTimeMs','estimatedCO2_g'];
+
+async function buildBackup() {
+  await storageReady;
+  const visits = await VisitStore.query();
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['aggregates', 'settings', 'lastAlertTimes'], (items) => {
+      resolve({
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        visits,
+        aggregates: items.aggregates || {byOrigin: {}, byDay: {}},
+        settings: items.settings || {},
+        lastAlertTimes: items.lastAlertTimes || {}
       });
-    } catch (err) {
-      console.error('saveVisit: storage update failed', err);
-    }
+    });
   });
 }
 
-// Listen to messages from content scripts
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  if (msg.type === 'visit-record') {
-    saveVisit(msg.record).then(() => sendResponse({status: 'ok'}));
-    // return true to indicate async response
-    return true;
+function rebuildAggregates(visits) {
+  const ag = {byOrigin: {}, byDay: {}};
+  visits.forEach(v => addToAggregates(ag, v));
+  return ag;
+}
+
+// Replaces visits, aggregates, settings and lastAlertTimes with the backup contents.
+async function restoreBackup(backup) {
+  if (!backup || backup.format !== BACKUP_FORMAT || !Array.isArray(backup.visits)) {
+    throw new Error('not a Green Browsing Tracker backup');
+  }
+  if (Number(backup.version) > BACKUP_VERSION) {
+    throw new Error(`backup version ${backup.version} is newer than this extension supports`);
   }
+  const visits = backup.visits.filter(v => v && v.id && v.ts && !Number.isNaN(new Date(v.ts).getTime()));
+  await storageReady;
+  await VisitStore.clear();
+  await VisitStore.putMany(visits);
+  const aggregates = (backup.aggregates && backup.aggregates.byOrigin && backup.aggregates.byDay)
+    ? backup.aggregates
+    : rebuildAggregates(visits);
+  if (!aggregates.byThirdParty) visits.forEach(v => addThirdParties(aggregates, v));
+  await withAggregates(ag => {
+    Object.keys(ag).forEach(k => delete ag[k]);
+    Object.assign(ag, aggregates);
+  });
+  return new Promise((resolve) => {
+    chrome.storage.local.set({
+      settings: GreenSettings.normalize(backup.settings).settings,
+      lastAlertTimes: backup.lastAlertTimes || {}
+    }, () => resolve({ restored: visits.length }));
+  });
+}
+
+// Splits one line of the export-csv format: every value is JSON.stringify'd, so quoted
+// fields use JSON escapes (\" and \n) rather than doubled quotes.
+function parseCsvLine(line) {
+  const out = [];
+  let i = 0;
+  while (i <= line.length) {
+    if (line[i] === '"') {
+      let j = i + 1;
+      while (j < line.length && line[j] !== '"') j += (line[j] === '\\') ? 2 : 1;
+      const token = line.slice(i, j + 1);
+      try { out.push(JSON.parse(token)); } catch (e) { out.push(token.slice(1, -1)); }
+      i = j + 2; // skip closing quote and comma
+    } else {
+      const end = line.indexOf(',', i);
+      const stop = end === -1 ? line.length : end;
+      out.push(line.slice(i, stop));
+      i = stop + 1;
+    }
+  }
+  return out;
+}
+
+function parseVisitsCsv(csv) {
+  const lines = String(csv || '').split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return [];
+  const header = parseCsvLine(lines[0]).map(h => String(h).trim());
+  const missing = ['ts', 'url'].filter(h => !header.includes(h));
+  if (missing.length) throw new Error('CSV is missing columns: ' + missing.join(', '));
+  return lines.slice(1).map(line => {
+    const cells = parseCsvLine(line);
+    const rec = {};
+    header.forEach((h, idx) => {
+      const val = cells[idx];
+      rec[h] = CSV_NUMERIC.includes(h) ? (Number(val) || 0) : (val == null ? '' : String(val));
+    });
+    if (!rec.id) rec.id = crypto.randomUUID();
+    if (!rec.origin && rec.url) {
+      try { rec.origin = new URL(rec.url).hostname; } catch (e) { /* keep empty */ }
+    }
+    rec.importedFrom = 'csv';
+    return rec;
+  }).filter(r => r.ts && !Number.isNaN(new Date(r.ts).getTime()));
+}
+
+// Merges records into stored visits, skipping any whose id or ts+url is already present,
+// and adds only the newly inserted records to the aggregates.
+async function importVisits(records) {
+  await storageReady;
+  const fresh = [];
+  const keys = new Set();
+  for (const r of records) {
+    const key = `${new Date(r.ts).toISOString()}|${r.url}`;
+    if (keys.has(key)) continue;
+    const sameTs = await VisitStore.findByTs(r.ts);
+    if (sameTs.some(v => v.url === r.url)) continue;
+    keys.add(key);
+    fresh.push(r);
+  }
+  const inserted = await VisitStore.putMany(fresh);
+  await withAggregates(ag => inserted.forEach(r => addToAggregates(ag, r)));
+  await VisitStore.trim();
+  return { imported: inserted.length, skipped: records.length - inserted.length };
+}
+
+// Visits are cleared from IndexedDB; aggregates reset with them.
+async function clearData() {
+  await storageReady;
+  await VisitStore.clear();
+  await withAggregates(ag => Object.assign(ag, {byOrigin: {}, byDay: {}, byThirdParty: {}}));
+}
+
+// ---------- Budgets ----------
+// Per-day totals used for streaks: aggregates.byDay for the global scope, otherwise the
+// origin's visits over the last year grouped by day.
+async function dailyTotals(scope) {
+  if (scope === 'global') {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['aggregates'], (items) => resolve((items.aggregates && items.aggregates.byDay) || {}));
+    });
+  }
+  const visits = await VisitStore.query({ origin: scope, from: Date.now() - 366 * 24 * 3600 * 1000 });
+  const byDay = {};
+  visits.forEach(v => {
+    byDay[v.day] = byDay[v.day] || { visits: 0, bytes: 0, co2: 0 };
+    byDay[v.day].visits += 1;
+    byDay[v.day].bytes += Number(v.transferBytes || 0);
+    byDay[v.day].co2 += Number(v.estimatedCO2_g || 0);
+  });
+  return byDay;
+}
+
+async function budgetStatus() {
+  await storageReady;
+  const settings = await getSettings();
+  return Promise.all(GreenBudgets.normalize(settings.budgets).map(async (b) => {
+    const origin = b.scope === 'global' ? undefined : b.scope;
+    const totals = await VisitStore.sum({ origin, from: GreenBudgets.periodStart(b.period) });
+    const status = GreenBudgets.progress(b, totals);
+    if (b.period === 'daily') status.streak = GreenBudgets.streak(b, await dailyTotals(b.scope));
+    return status;
+  }));
+}
+
+// ---------- Toolbar badge (per-tab running totals) ----------
+// Totals live in chrome.storage.session so they survive service-worker restarts but not
+// the browser session. They reset when the tab navigates and are dropped when it closes.
+const BADGE_LEVELS = [
+  { max: 0.5, color: '#2ecc71' },
+  { max: 2, color: '#f39c12' },
+  { max: Infinity, color: '#e74c3c' }
+];
+
+let tabTotalsLock = Promise.resolve();
+function withTabTotals(fn) {
+  const run = tabTotalsLock.then(() => new Promise((resolve) => {
+    chrome.storage.session.get(['tabTotals'], (items) => {
+      const totals = items.tabTotals || {};
+      const value = fn(totals);
+      chrome.storage.session.set({ tabTotals: totals }, () => resolve(value));
+    });
+  }));
+  tabTotalsLock = run.catch(() => {});
+  return run;
+}
+
+// Badge text must fit in ~4 characters.
+function badgeText(co2) {
+  if (!(co2 > 0)) return '';
+  if (co2 < 0.01) return '<.01';
+  if (co2 < 10) return co2.toFixed(co2 < 1 ? 2 : 1).replace(/^0\./, '.');
+  if (co2 < 1000) return String(Math.round(co2));
+  return Math.round(co2 / 1000) + 'k';
+}
+
+function updateBadge(tabId, total) {
+  const co2 = total ? total.co2 : 0;
+  const level = BADGE_LEVELS.find(l => co2 < l.max) || BADGE_LEVELS[BADGE_LEVELS.length - 1];
+  chrome.action.setBadgeText({ tabId, text: badgeText(co2) }).catch(() => {});
+  chrome.action.setBadgeBackgroundColor({ tabId, color: level.color }).catch(() => {});
+  chrome.action.setTitle({
+    tabId,
+    title: total ? `Green Browsing Tracker — this tab: ${co2.toFixed(3)} g CO₂, ${(total.bytes / 1024).toFixed(1)} KB` : 'Green Browsing Tracker'
+  }).catch(() => {});
+}
+
+// The total follows the tab's current session: a new visit record (page load or SPA route)
+// starts over, and late deltas from an earlier session are left out.
+async function addToTab(tabId, sessionId, record, visits = 1) {
+  const total = await withTabTotals((totals) => {
+    let t = totals[tabId];
+    if (!t || t.sessionId !== sessionId) {
+      if (!visits) return null;
+      t = totals[tabId] = { sessionId, co2: 0, bytes: 0, visits: 0 };
+    }
+    t.co2 += Number(record.estimatedCO2_g || 0);
+    t.bytes += Number(record.transferBytes || 0);
+    t.visits += visits;
+    return t;
+  });
+  if (total) updateBadge(tabId, total);
+}
+
+async function resetTab(tabId, remove = false) {
+  await withTabTotals((totals) => { delete totals[tabId]; });
+  if (!remove) updateBadge(tabId, null);
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  // SPA route changes only change the url; each starts a new session in the content script
+  if (changeInfo.url) resetTab(tabId);
+});
+chrome.tabs.onRemoved.addListener((tabId) => {
+  resetTab(tabId, true);
+  networkLedger.delete(tabId);
 });
 
-// Optional: provide an API to export data to CSV via chrome.runtime
+// Listen to messages from content scripts and extension pages
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.type === 'visit-record') {
-    saveVisit(msg.record).then(() => sendResponse({ status: 'ok' }));
+    const tabId = sender.tab && sender.tab.id;
+    const page = { tabId, url: sender.url || (sender.tab && sender.tab.url), incognito: !!(sender.tab && sender.tab.incognito) };
+    withVisitLock(() => saveVisit(msg.record, page))
+      .then((saved) => {
+        if (!saved) return sendResponse({ status: 'excluded' });
+        if (typeof tabId === 'number' && tabId >= 0) addToTab(tabId, msg.record.id, msg.record);
+        sendResponse({ status: 'ok' });
+      })
+      .catch(e => sendResponse({ status: 'error', error: e.message }));
+    return true; // async
+  }
+  if (msg.type === 'visit-delta') {
+    const tabId = sender.tab && sender.tab.id;
+    const page = { tabId, url: sender.url || (sender.tab && sender.tab.url), incognito: !!(sender.tab && sender.tab.incognito) };
+    withVisitLock(() => applyVisitDelta(msg.delta || {}, page))
+      .then((added) => {
+        if (added && typeof tabId === 'number' && tabId >= 0) addToTab(tabId, msg.delta.id, added, 0);
+        sendResponse({ status: added ? 'ok' : 'ignored' });
+      })
+      .catch(e => sendResponse({ status: 'error', error: e.message }));
+    return true; // async
+  }
+  // "Don't track this site" from the popup or the page overlay
+  if (msg.type === 'exclude-site') {
+    excludeSite(msg.host)
+      .then(siteDenyList => sendResponse({ status: 'ok', siteDenyList }))
+      .catch(e => sendResponse({ error: e.message }));
+    return true; // async
+  }
+  if (msg.type === 'purge-excluded') {
+    purgeExcluded(msg.pattern || null)
+      .then(result => sendResponse(Object.assign({ status: 'ok' }, result)))
+      .catch(e => sendResponse({ error: e.message }));
+    return true; // async
+  }
+  // range queries over IndexedDB: {from, to, origin, limit, reverse}
+  if (msg.type === 'query-visits') {
+    storageReady
+      .then(() => VisitStore.query(msg.query || {}))
+      .then(visits => sendResponse({ visits }))
+      .catch(e => sendResponse({ error: e.message, visits: [] }));
+    return true; // async
+  }
+  if (msg.type === 'sum-visits') {
+    storageReady
+      .then(() => VisitStore.sum(msg.query || {}))
+      .then(totals => sendResponse(totals))
+      .catch(e => sendResponse({ error: e.message, visits: 0, bytes: 0, co2: 0 }));
+    return true; // async
+  }
+  if (msg.type === 'budget-status') {
+    budgetStatus()
+      .then(budgets => sendResponse({ budgets }))
+      .catch(e => sendResponse({ error: e.message, budgets: [] }));
+    return true; // async
+  }
+  if (msg.type === 'clear-data') {
+    clearData().then(() => sendResponse({ status: 'ok' }));
+    return true; // async
+  }
+  if (msg.type === 'sync-now') {
+    chrome.alarms.clear(RETRY_ALARM);
+    flushOutbox().then(() => {
+      chrome.storage.local.get(['syncStatus'], (items) => sendResponse({ syncStatus: items.syncStatus || null }));
+    });
     return true; // async
   }
   if (msg.type === 'export-csv') {
-    chrome.storage.local.get(['visits'], (items) => {
-      const visits = items.visits || [];
-      const header = ['ts','origin','url','title','transferBytes','resourceCount','loadTimeMs','estimatedCO2_g'];
-      const rows = visits.map(v => header.map(h => JSON.stringify(v[h]||'')).join(',')).join('\n');
-      const csv = header.join(',') + '\n' + rows;
+    storageReady.then(() => VisitStore.query()).then((visits) => {
+      const rows = visits.map(v => CSV_HEADER.map(h => JSON.stringify(v[h]||'')).join(',')).join('\n');
+      const csv = CSV_HEADER.join(',') + '\n' + rows;
       sendResponse({ csv });
     });
     return true; // async
   }
+  if (msg.type === 'export-backup') {
+    buildBackup().then(backup => sendResponse({ backup }));
+    return true; // async
+  }
+  if (msg.type === 'restore-backup') {
+    restoreBackup(msg.backup)
+      .then(result => sendResponse(Object.assign({ status: 'ok' }, result)))
+      .catch(e => sendResponse({ error: e.message }));
+    return true; // async
+  }
+  if (msg.type === 'import-csv') {
+    Promise.resolve()
+      .then(() => importVisits(parseVisitsCsv(msg.csv)))
+      .then(result => sendResponse(Object.assign({ status: 'ok' }, result)))
+      .catch(e => sendResponse({ error: e.message }));
+    return true; // async
+  }
 });
 
 // When installed, initialize storage
 chrome.runtime.onInstalled.addListener(() => {
-  chrome.storage.local.get(['settings'], (items) => {
-    const st = Object.assign({}, DEFAULTS, items.settings || {});
-    chrome.storage.local.set({ settings: st });
+  chrome.storage.local.get(['settings', 'urlHashSalt'], (items) => {
+    chrome.storage.local.set({ settings: GreenSettings.normalize(items.settings).settings });
+    // per-install salt for the "hashed" URL privacy level (see url_privacy.js)
+    if (!items.urlHashSalt) chrome.storage.local.set({ urlHashSalt: GreenPrivacy.newSalt() });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,281 @@
+// settings_schema.js
+// Single settings schema shared by the service worker (importScripts), content script,
+// popup, dashboard and options page. It owns defaults, types/ranges, validation and
+// migrations of the `settings` object stored in chrome.storage.local; options.html is
+// generated from SECTIONS.
+
+(function (root) {
+  const VERSION = 3;
+
+  const SECTIONS = [
+    {
+      id: 'emissions',
+      title: 'Emissions model',
+      fields: [
+        { key: 'emissionsModel', type: 'enum', label: 'Emissions model', default: 'swd',
+          options: [
+            { value: 'swd', label: 'Sustainable Web Design (v3)' },
+            { value: 'onebyte', label: 'OneByte (The Shift Project)' },
+            { value: 'linear', label: 'Flat per-byte factor (legacy)' }
+          ] },
+        { key: 'swdVisitMode', type: 'enum', label: 'SWD visit mode', default: 'measured',
+          options: [
+            { value: 'measured', label: 'Measured bytes (every visit charged as transferred)' },
+            { value: 'firstVsReturning', label: 'First vs. returning visit (returning visits reload 2%)' }
+          ] },
+        { key: 'gridRegion', type: 'string', label: 'Grid region (country or region code such as US-CA, or "auto")', default: 'auto',
+          pattern: /^(auto|global|[A-Za-z]{2}([-_][A-Za-z0-9]{1,6})?)$/i,
+          suggestions: ['auto', 'GLOBAL', 'US', 'US-CA', 'US-TX', 'GB', 'DE', 'FR', 'AU', 'AU-NSW', 'BD', 'IN', 'CN'] },
+        { key: 'energyFactor_mJ_per_byte', type: 'number', label: 'Energy factor (mJ per byte, legacy model)', default: 1e-6, min: 0, max: 1, step: 1e-7 },
+        { key: 'co2Factor_g_per_byte', type: 'number', label: 'CO2 factor (g per byte, legacy model)', default: 1e-6, min: 0, max: 1, step: 1e-7 }
+      ]
+    },
+    {
+      id: 'privacy',
+      title: 'Privacy',
+      fields: [
+        { key: 'urlPrivacy', type: 'enum', label: 'Store and sync page URLs as', default: 'strip',
+          options: [
+            { value: 'full', label: 'Full URL and title' },
+            { value: 'strip', label: 'Without query string and fragment' },
+            { value: 'pattern', label: 'Path pattern only (ids and usernames replaced by *)' },
+            { value: 'hashed', label: 'Origin + hash of the URL' },
+            { value: 'origin', label: 'Origin only' }
+          ] },
+        { key: 'trackingScope', type: 'enum', label: 'Track', default: 'all',
+          options: [
+            { value: 'all', label: 'All sites except the deny list' },
+            { value: 'allowList', label: 'Only sites on the allow list' }
+          ] },
+        { key: 'siteDenyList', type: 'patterns', label: 'Never track (one pattern per line, e.g. mybank.com, *.corp.example, example.com/health)', default: [] },
+        { key: 'siteAllowList', type: 'patterns', label: 'Allow list (used when tracking only listed sites)', default: [] },
+        { key: 'incognitoMode', type: 'enum', label: 'Incognito windows (if the extension is allowed in incognito)', default: 'off',
+          options: [
+            { value: 'off', label: "Don't track" },
+            { value: 'local', label: 'Track on this device only (never synced)' },
+            { value: 'normal', label: 'Track normally' }
+          ] }
+      ]
+    },
+    {
+      id: 'sync',
+      title: 'Server sync',
+      fields: [
+        { key: 'syncEnabled', type: 'boolean', label: 'Upload visits to a server', default: false },
+        { key: 'serverUrl', type: 'url', label: 'Server URL (also answers grid-intensity lookups, which send only the region and hour)', default: '',
+          suggestions: ['http://localhost:4000'] },
+        { key: 'apiKey', type: 'secret', label: 'API key', default: '' }
+      ]
+    },
+    {
+      id: 'alerts',
+      title: 'CO2 alerts',
+      fields: [
+        { key: 'alert_enabled', type: 'boolean', label: 'Play a sound and show a banner on high CO2', default: true },
+        { key: 'alert_co2_threshold_g', type: 'number', label: 'Threshold per origin (g CO2)', default: 10, min: 0.01, max: 10000, step: 0.01 },
+        { key: 'alert_time_threshold_s', type: 'number', label: 'Minimum active time on page (s)', default: 30, min: 0, max: 3600, step: 1 },
+        { key: 'alert_window_minutes', type: 'number', label: 'Rolling window (min)', default: 10, min: 1, max: 1440, step: 1 },
+        { key: 'alert_check_interval_s', type: 'number', label: 'Check every (s)', default: 10, min: 1, max: 600, step: 1 },
+        { key: 'alert_cooldown_min', type: 'number', label: 'Cooldown between alerts (min)', default: 5, min: 0, max: 1440, step: 1 }
+      ]
+    },
+    {
+      id: 'device',
+      title: 'Device energy',
+      fields: [
+        { key: 'deviceProfile', type: 'enum', label: 'This device', default: 'laptop',
+          options: [
+            { value: 'laptop', label: 'Laptop (screen 10 W, CPU 15 W, background tab 0.3 W)' },
+            { value: 'desktop', label: 'Desktop with monitor (60 W, 40 W, 1 W)' },
+            { value: 'phone', label: 'Phone or tablet (2 W, 3 W, 0.05 W)' },
+            { value: 'custom', label: 'Custom wattages' }
+          ] },
+        { key: 'deviceScreen_W', type: 'number', label: 'Screen and system while viewing (W)', default: 10, min: 0, max: 1000, step: 0.1 },
+        { key: 'deviceCpu_W', type: 'number', label: 'Extra while the CPU is busy (W)', default: 15, min: 0, max: 1000, step: 0.1 },
+        { key: 'deviceBackground_W', type: 'number', label: 'Background tab (W)', default: 0.3, min: 0, max: 100, step: 0.01 }
+      ]
+    },
+    {
+      id: 'eco',
+      title: 'Eco mode',
+      fields: [
+        { key: 'ecoMode', type: 'boolean', label: 'Eco mode: act on pages to avoid data, not only measure it', default: false },
+        { key: 'ecoPauseAutoplay', type: 'boolean', label: 'Pause video that starts without a click', default: true },
+        { key: 'ecoStopOffscreenVideo', type: 'boolean', label: 'Pause video scrolled out of view (resumes when back)', default: true },
+        { key: 'ecoLazyImages', type: 'boolean', label: 'Lazy-load images below the fold', default: true },
+        { key: 'ecoBlockHeavyHosts', type: 'boolean', label: 'Block heavy ad and tracking hosts', default: true },
+        { key: 'ecoExcludedSites', type: 'patterns', label: 'Sites where eco mode stays off (one pattern per line)', default: [] }
+      ]
+    },
+    {
+      id: 'sampling',
+      title: 'Sampling',
+      fields: [
+        { key: 'samplingInterval_s', type: 'number', label: 'Sampling interval (s)', default: 30, min: 5, max: 3600, step: 1 }
+      ]
+    },
+    {
+      id: 'budgets',
+      title: 'Budgets',
+      fields: [
+        { key: 'budgets', type: 'budgets', label: 'Budgets', default: [] }
+      ]
+    }
+  ];
+
+  const FIELDS = {};
+  SECTIONS.forEach(sec => sec.fields.forEach(f => { FIELDS[f.key] = f; }));
+
+  const DEFAULTS = {};
+  Object.values(FIELDS).forEach(f => { DEFAULTS[f.key] = Array.isArray(f.default) ? f.default.slice() : f.default; });
+  DEFAULTS.settingsVersion = VERSION;
+
+  // Each migration upgrades a settings object from version n-1 to n.
+  const MIGRATIONS = {
+    // v1 (pre-schema): options.js wrote NaN as null for empty inputs and getSettings() forced
+    // syncEnabled=true; drop nulls so defaults apply and keep sync only if a server URL was set.
+    2: (s) => {
+      Object.keys(s).forEach(k => { if (s[k] === null) delete s[k]; });
+      if (s.syncEnabled === true && !s.serverUrl) s.syncEnabled = false;
+      return s;
+    },
+    // v3: serverUrl no longer defaults to the local dev server; forget it unless sync uses it.
+    3: (s) => {
+      if (!s.syncEnabled && s.serverUrl === 'http://localhost:4000') s.serverUrl = '';
+      return s;
+    }
+  };
+
+  function migrate(raw) {
+    const s = Object.assign({}, raw || {});
+    let version = Number(s.settingsVersion) || 1;
+    while (version < VERSION) {
+      version += 1;
+      if (MIGRATIONS[version]) MIGRATIONS[version](s);
+    }
+    s.settingsVersion = VERSION;
+    return s;
+  }
+
+  // Returns an error message for an invalid value, or null.
+  function validateField(f, v) {
+    switch (f.type) {
+      case 'number':
+        if (typeof v !== 'number' || !Number.isFinite(v)) return `${f.label} must be a number`;
+        if (f.min !== undefined && v < f.min) return `${f.label} must be at least ${f.min}`;
+        if (f.max !== undefined && v > f.max) return `${f.label} must be at most ${f.max}`;
+        return null;
+      case 'boolean':
+        return typeof v === 'boolean' ? null : `${f.label} must be true or false`;
+      case 'enum':
+        return f.options.some(o => o.value === v) ? null : `${f.label} must be one of ${f.options.map(o => o.value).join(', ')}`;
+      case 'string':
+      case 'secret':
+        if (typeof v !== 'string') return `${f.label} must be text`;
+        if (f.pattern && !f.pattern.test(v)) return `${f.label} is not valid`;
+        return null;
+      case 'url':
+        if (typeof v !== 'string') return `${f.label} must be text`;
+        if (v === '') return null;
+        try {
+          const u = new URL(v);
+          return (u.protocol === 'http:' || u.protocol === 'https:') ? null : `${f.label} must be an http(s) URL`;
+        } catch (e) {
+          return `${f.label} must be a URL`;
+        }
+      case 'patterns': {
+        if (!Array.isArray(v) || v.some(p => typeof p !== 'string')) return `${f.label} must be a list of patterns`;
+        if (!root.GreenSiteRules) return null;
+        for (const p of v) {
+          const err = root.GreenSiteRules.validate(p);
+          if (err) return `${f.label}: ${err}`;
+        }
+        return null;
+      }
+      case 'budgets': {
+        if (!Array.isArray(v)) return `${f.label} must be a list`;
+        if (!root.GreenBudgets) return null;
+        for (let i = 0; i < v.length; i++) {
+          const err = root.GreenBudgets.validate(v[i]);
+          if (err) return `Budget ${i + 1}: ${err}`;
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  function coerce(f, v) {
+    if (f.type === 'number' && typeof v === 'string' && v.trim() !== '') return Number(v);
+    if (f.type === 'boolean' && (v === 'true' || v === 'false')) return v === 'true';
+    if ((f.type === 'string' || f.type === 'url' || f.type === 'secret') && typeof v === 'string') return v.trim();
+    if (f.type === 'patterns') {
+      // one pattern per line (or comma separated) when edited as text
+      const list = typeof v === 'string' ? v.split(/[\n,]/) : v;
+      if (Array.isArray(list)) return list.map(p => (typeof p === 'string' ? p.trim().toLowerCase() : p)).filter(p => p !== '');
+    }
+    return v;
+  }
+
+  /**
+   * Migrate and validate a stored/edited settings object.
+   * Invalid or missing values fall back to defaults; unknown keys are kept.
+   * Returns { settings, errors } where errors lists the rejected values.
+   */
+  function normalize(raw) {
+    const s = migrate(raw);
+    const errors = [];
+    Object.values(FIELDS).forEach(f => {
+      if (!(f.key in s) || s[f.key] === undefined) {
+        s[f.key] = Array.isArray(f.default) ? f.default.slice() : f.default;
+        return;
+      }
+      const v = coerce(f, s[f.key]);
+      const err = validateField(f, v);
+      if (err) {
+        errors.push({ key: f.key, message: err });
+        s[f.key] = Array.isArray(f.default) ? f.default.slice() : f.default;
+      } else {
+        s[f.key] = v;
+      }
+    });
+    return { settings: s, errors };
+  }
+
+  // Reads settings from chrome.storage.local (normalized; not written back).
+  function load() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['settings'], (items) => resolve(normalize(items.settings).settings));
+    });
+  }
+
+  /**
+   * Merge `patch` into the stored settings and save. Keys not in the patch are kept,
+   * so editing one page of options never drops e.g. serverUrl/apiKey.
+   * Resolves to { settings, errors }; nothing is written if the patch has errors.
+   */
+  function save(patch) {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['settings'], (items) => {
+        const merged = Object.assign({}, migrate(items.settings), patch);
+        const patchErrors = Object.keys(patch || {})
+          .filter(k => FIELDS[k])
+          .map(k => ({ key: k, message: validateField(FIELDS[k], coerce(FIELDS[k], patch[k])) }))
+          .filter(e => e.message);
+        if (patchErrors.length) return resolve({ settings: null, errors: patchErrors });
+        const { settings } = normalize(merged);
+        chrome.storage.local.set({ settings }, () => resolve({ settings, errors: [] }));
+      });
+    });
+  }
+
+  function reset() {
+    return new Promise((resolve) => {
+      const settings = normalize({}).settings;
+      chrome.storage.local.set({ settings }, () => resolve(settings));
+    });
+  }
+
+  root.GreenSettings = { VERSION, SECTIONS, FIELDS, DEFAULTS, migrate, validateField, normalize, load, save, reset };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,97 @@
+// site_rules.js
+// Decides which pages are tracked, from the allow/deny lists and the incognito choice in
+// settings. Shared by the content script (no overlay or records on excluded pages), the
+// service worker (drops records it should not store and purges history), popup and options.
+//
+// Patterns are hosts with `*` wildcards and an optional path, scheme optional:
+//   mybank.com          mybank.com and all its subdomains
+//   *.corp.example      same as corp.example
+//   intranet*           any host starting with "intranet"
+//   example.com/health  /health and everything below it on example.com (and subdomains)
+//   192.168.*           any host starting with 192.168.
+
+(function (root) {
+  const HOST_RE = /^[a-z0-9*.-]+$/;
+
+  function globToRe(s, wildcard) {
+    return s.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join(wildcard);
+  }
+
+  function splitPattern(pattern) {
+    const p = String(pattern || '').trim().toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
+    const slash = p.indexOf('/');
+    const host = (slash < 0 ? p : p.slice(0, slash)).replace(/:\d+$/, '').replace(/^\*\./, '');
+    const path = slash < 0 ? '' : p.slice(slash);
+    return { host, path };
+  }
+
+  // Returns an error message, or null for a usable pattern.
+  function validate(pattern) {
+    const { host } = splitPattern(pattern);
+    if (!host) return `"${pattern}" has no host`;
+    if (/\s/.test(String(pattern).trim())) return `"${pattern}" contains spaces`;
+    if (!HOST_RE.test(host)) return `"${pattern}" is not a host pattern`;
+    return null;
+  }
+
+  const compiled = new Map();
+  function compile(pattern) {
+    if (compiled.has(pattern)) return compiled.get(pattern);
+    const { host, path } = splitPattern(pattern);
+    const hostRe = new RegExp('^(?:.*\\.)?' + globToRe(host, '.*') + '$');
+    const pathRe = path && path !== '/'
+      ? new RegExp('^' + globToRe(path.replace(/\/$/, ''), '.*') + (path.endsWith('*') ? '' : '(?:/|$)'))
+      : null;
+    const m = { hostRe, pathRe };
+    compiled.set(pattern, m);
+    return m;
+  }
+
+  // `target` is a URL or a bare hostname.
+  function parseTarget(target) {
+    try {
+      const u = new URL(target);
+      return { host: u.hostname.toLowerCase(), path: u.pathname };
+    } catch (e) {
+      return { host: String(target || '').toLowerCase(), path: '/' };
+    }
+  }
+
+  function matches(pattern, target) {
+    if (validate(pattern)) return false;
+    const { host, path } = parseTarget(target);
+    const m = compile(pattern);
+    return m.hostRe.test(host) && (!m.pathRe || m.pathRe.test(path));
+  }
+
+  function firstMatch(patterns, target) {
+    return (patterns || []).find(p => matches(p, target)) || null;
+  }
+
+  /**
+   * Whether a page is tracked under `settings`:
+   *   { track, sync, reason, pattern }
+   * reason is null when tracked, else 'incognito', 'denied' (matched `pattern` on the deny
+   * list) or 'not_allowed' (allow-list mode and no allow pattern matched). sync is false for
+   * incognito pages in "local only" mode.
+   */
+  function decide(target, settings, { incognito = false } = {}) {
+    const s = settings || {};
+    if (incognito && s.incognitoMode !== 'local' && s.incognitoMode !== 'normal') {
+      return { track: false, sync: false, reason: 'incognito', pattern: null };
+    }
+    const denied = firstMatch(s.siteDenyList, target);
+    if (denied) return { track: false, sync: false, reason: 'denied', pattern: denied };
+    if (s.trackingScope === 'allowList' && !firstMatch(s.siteAllowList, target)) {
+      return { track: false, sync: false, reason: 'not_allowed', pattern: null };
+    }
+    return { track: true, sync: !(incognito && s.incognitoMode === 'local'), reason: null, pattern: null };
+  }
+
+  function addPattern(list, pattern) {
+    const p = String(pattern || '').trim().toLowerCase();
+    return (list || []).includes(p) ? (list || []).slice() : (list || []).concat(p);
+  }
+
+  root.GreenSiteRules = { validate, splitPattern, matches, firstMatch, decide, addPattern };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,136 @@
+// test/service_worker.test.js
+// The extension's service worker, loaded in a vm with in-memory chrome.storage and visit store.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const noop = { addListener() {} };
+
+function loadWorker(local = {}) {
+  const store = { local, session: {} };
+  const copy = (o) => JSON.parse(JSON.stringify(o));
+  const area = (name) => ({
+    get: (keys, cb) => {
+      const out = {};
+      [].concat(keys).forEach(k => { if (k in store[name]) out[k] = store[name][k]; });
+      setImmediate(cb, copy(out));
+    },
+    set: (items, cb) => { Object.assign(store[name], copy(items)); if (cb) setImmediate(cb); },
+    remove: (keys, cb) => { [].concat(keys).forEach(k => delete store[name][k]); if (cb) setImmediate(cb); }
+  });
+  const listeners = {};
+  const on = (name) => ({ addListener: f => { listeners[name] = f; } });
+  const rows = new Map();
+  const fetches = [];
+  const ctx = {
+    console: { log() {}, debug() {}, warn() {}, error: console.error },
+    setTimeout, clearTimeout, URL, TextEncoder,
+    crypto: require('crypto').webcrypto,
+    navigator: { language: 'en-GB' },
+    fetch: async (url) => { fetches.push(url); throw new Error('offline'); },
+    addEventListener() {},
+    indexedDB: {},
+    chrome: {
+      storage: { local: area('local'), session: area('session'), onChanged: noop },
+      runtime: { onMessage: on('message'), onInstalled: noop, onStartup: noop },
+      alarms: { create() {}, clear() {}, onAlarm: noop },
+      tabs: { onUpdated: on('tabUpdated'), onRemoved: noop },
+      webRequest: { onCompleted: on('completed'), onErrorOccurred: noop },
+      declarativeNetRequest: { updateDynamicRules: async () => {} },
+      action: { setBadgeText: async () => {}, setBadgeBackgroundColor: async () => {}, setTitle: async () => {} }
+    }
+  };
+  ctx.self = ctx;
+  ctx.importScripts = (...files) => files.forEach(f => vm.runInContext(fs.readFileSync(path.join(ROOT, f), 'utf8'), ctx, { filename: f }));
+  vm.createContext(ctx);
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'service_worker.js'), 'utf8'), ctx, { filename: 'service_worker.js' });
+  Object.assign(ctx.VisitStore, {
+    query: async () => [...rows.values()],
+    put: async (r) => {
+      if (rows.has(r.id)) return null;
+      const row = Object.assign({}, copy(r), { day: r.ts.slice(0, 10) });
+      rows.set(r.id, row);
+      return row;
+    },
+    putMany: async (rs) => rs,
+    remove: async (ids) => ids.filter(id => rows.delete(id)).length,
+    trim: async () => 0
+  });
+  const send = (msg, tabId = 1) => new Promise(resolve =>
+    listeners.message(msg, { url: 'https://news.example/a', tab: { id: tabId, incognito: false } }, resolve));
+  return { ctx, rows, listeners, send, fetches, store };
+}
+
+describe('service worker', () => {
+  it('prices a new visit with the bytes merged from webRequest', async () => {
+    const { ctx, rows, listeners, send } = loadWorker();
+    listeners.completed({ tabId: 1, type: 'script', url: 'https://cdn.other.example/lib.js', fromCache: false,
+      responseHeaders: [{ name: 'Content-Length', value: '70000' }] });
+    const res = await send({ type: 'visit-record', record: {
+      id: 'v1', ts: new Date().toISOString(), url: 'https://news.example/a', origin: 'news.example',
+      transferBytes: 1000, resourceCount: 2, byteSources: { measured: 1000 },
+      breakdown: { byType: { document: { bytes: 1000, count: 1 } } },
+      unmeasured: [{ url: 'https://cdn.other.example/lib.js', type: 'script', party: 'third', host: 'cdn.other.example' }]
+    } });
+    assert.equal(res.status, 'ok');
+
+    const v = rows.get('v1');
+    assert.equal(v.transferBytes, 71000);
+    const settings = ctx.GreenSettings.normalize({}).settings;
+    const model = { visitType: 'first', gridIntensity_g_per_kWh: v.gridIntensity_g_per_kWh };
+    const merged = ctx.GreenEmissions.estimate(71000, settings, model);
+    assert.equal(v.estimatedCO2_g, merged.estimatedCO2_g);
+    assert.equal(v.estimatedEnergy_mJ, merged.estimatedEnergy_mJ);
+    assert.ok(v.estimatedCO2_g > ctx.GreenEmissions.estimate(1000, settings, model).estimatedCO2_g);
+  });
+
+  it('backs off grid-intensity lookups after a failure and skips them without a server', async () => {
+    const record = (id) => ({ type: 'visit-record', record: { id, ts: new Date().toISOString(), url: 'https://news.example/a', origin: 'news.example', transferBytes: 1000 } });
+    const none = loadWorker();
+    await none.send(record('a'));
+    assert.equal(none.fetches.length, 0);
+
+    const { send, fetches, store, rows } = loadWorker({ settings: { serverUrl: 'http://grid.example' } });
+    await send(record('a'));
+    await send(record('b'));
+    assert.equal(fetches.length, 1);
+    assert.equal(store.local.gridIntensityBackoff.attempts, 1);
+    assert.equal(rows.get('b').gridIntensitySource, 'default_global');
+  });
+
+  it('answers a visit record that fails to save with an error', async () => {
+    const { ctx, send } = loadWorker();
+    ctx.GreenAudit.run = () => { throw new Error('rule crashed'); };
+    const res = await send({ type: 'visit-record', record: { id: 'a', ts: new Date().toISOString(), url: 'https://news.example/a', origin: 'news.example', transferBytes: 1000 } });
+    assert.deepEqual([res.status, res.error], ['error', 'rule crashed']);
+  });
+
+  it('restarts the tab total on a route change and ignores late samples of the old route', async () => {
+    const { send, listeners, store } = loadWorker();
+    const record = (id, transferBytes) => ({ type: 'visit-record', record: { id, ts: new Date().toISOString(), url: 'https://news.example/a', origin: 'news.example', transferBytes } });
+    await send(record('a', 1000));
+    listeners.tabUpdated(1, { url: 'https://news.example/b' });
+    await send(record('b', 2000));
+    await send({ type: 'visit-delta', delta: { id: 'a', seq: 1, final: true, transferBytes: 5000 } });
+    assert.deepEqual([store.session.tabTotals[1].sessionId, store.session.tabTotals[1].bytes], ['b', 2000]);
+  });
+
+  it('purges host patterns by origin and refuses path patterns for visits stored without paths', async () => {
+    const { rows, send } = loadWorker();
+    const visit = (id, origin, url, urlPrivacy) => rows.set(id, { id, ts: '2026-05-01T10:00:00.000Z', origin, url, urlPrivacy });
+    visit('a', 'shop.example', 'https://shop.example/#sha256=0123456789abcdef', 'hashed');
+    visit('b', 'news.example', 'https://news.example/private/1', 'strip');
+    visit('c', 'news.example', 'https://news.example/public/2', 'strip');
+
+    const refused = await send({ type: 'purge-excluded', pattern: 'shop.example/private/*' });
+    assert.match(refused.error, /stored as a hash/);
+    assert.ok(rows.has('a'));
+
+    assert.equal((await send({ type: 'purge-excluded', pattern: 'news.example/private' })).removed, 1);
+    assert.equal((await send({ type: 'purge-excluded', pattern: 'shop.example' })).removed, 1);
+    assert.deepEqual([...rows.keys()], ['c']);
+  });
+});
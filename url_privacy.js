@@ -0,0 +1,127 @@
+// url_privacy.js
+// URL privacy levels applied to visit records before they are stored or synced. Shared by
+// the content script, the options page (preview) and the server's ingest handler, which
+// re-applies its own minimum level (URL_PRIVACY) to whatever clients send.
+//
+// Levels, least to most private:
+//   full    - URL and title as visited
+//   strip   - no query string or fragment
+//   pattern - path segments that look like ids/usernames become "*" (/u/MdZahin/ -> /u/*/)
+//   hashed  - origin plus a salted SHA-256 of the full URL (visits to one page still group)
+//   origin  - origin only
+// Every level except `full` also drops the page title.
+
+(function (root) {
+  const MODES = ['full', 'strip', 'pattern', 'hashed', 'origin'];
+  const LABELS = {
+    full: 'Full URL and title',
+    strip: 'Strip query string and fragment',
+    pattern: 'Path pattern only (ids and usernames replaced by *)',
+    hashed: 'Origin + hash of the URL',
+    origin: 'Origin only'
+  };
+  // path segments right after these are treated as user names
+  const USER_PREFIXES = ['u', 'user', 'users', 'profile', 'profiles', 'people', 'member', 'members', 'account', 'accounts', 'author', 'authors', 'channel', 'in'];
+  const WORD_RE = /^[a-z][a-z._-]{0,39}$/;
+  const HASH_HEX_CHARS = 16;
+  const HASH_MARK = '#sha256=';
+
+  function rank(mode) {
+    const i = MODES.indexOf(mode);
+    return i < 0 ? 0 : i;
+  }
+
+  // The more private of two levels.
+  function stricter(a, b) {
+    return rank(a) >= rank(b) ? a : b;
+  }
+
+  function parse(url) {
+    try { return new URL(url); } catch (e) { return null; }
+  }
+
+  function originOf(u) {
+    return u.origin && u.origin !== 'null' ? u.origin : u.protocol;
+  }
+
+  function stripUrl(url) {
+    const u = parse(url);
+    return u ? originOf(u) + u.pathname : '';
+  }
+
+  function patternPath(pathname) {
+    const segs = pathname.split('/');
+    return segs.map((seg, i) => {
+      if (!seg || seg === '*') return seg;
+      const prev = (segs[i - 1] || '').toLowerCase();
+      if (USER_PREFIXES.includes(prev) || seg[0] === '@') return '*';
+      let decoded = seg;
+      try { decoded = decodeURIComponent(seg); } catch (e) {}
+      return WORD_RE.test(decoded) ? seg : '*';
+    }).join('/');
+  }
+
+  function patternUrl(url) {
+    const u = parse(url);
+    return u ? originOf(u) + patternPath(u.pathname) : '';
+  }
+
+  function originUrl(url) {
+    const u = parse(url);
+    return u ? originOf(u) + '/' : '';
+  }
+
+  function subtle() {
+    if (root.crypto && root.crypto.subtle) return root.crypto.subtle;
+    // Node < 19 has no global crypto
+    if (typeof require === 'function') return require('crypto').webcrypto.subtle;
+    return null;
+  }
+
+  function hashUrl(url, salt) {
+    const u = parse(url);
+    if (!u) return Promise.resolve('');
+    if (u.hash.startsWith(HASH_MARK)) return Promise.resolve(url);
+    const data = new TextEncoder().encode(String(salt || '') + '|' + url);
+    return subtle().digest('SHA-256', data).then(buf => {
+      const hex = Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2, '0')).join('');
+      return originOf(u) + '/' + HASH_MARK + hex.slice(0, HASH_HEX_CHARS);
+    });
+  }
+
+  // Resolves to the URL as stored under `mode`.
+  function applyToUrl(url, mode, salt) {
+    switch (mode) {
+      case 'strip': return Promise.resolve(stripUrl(url));
+      case 'pattern': return Promise.resolve(patternUrl(url));
+      case 'hashed': return hashUrl(url, salt);
+      case 'origin': return Promise.resolve(originUrl(url));
+      default: return Promise.resolve(url);
+    }
+  }
+
+  /**
+   * Copy of `record` with url/title reduced to `mode`, tagged with `urlPrivacy`.
+   * A record already at an equal or stricter level is returned unchanged, so applying a
+   * level twice (content script, then server) is safe. Without a salt, `hashed` falls back
+   * to `origin` rather than storing an unsalted, guessable hash.
+   */
+  function sanitize(record, mode, salt) {
+    const current = record.urlPrivacy || 'full';
+    if (!MODES.includes(mode) || rank(current) >= rank(mode)) return Promise.resolve(record);
+    const effective = mode === 'hashed' && !salt ? 'origin' : mode;
+    return applyToUrl(record.url || '', effective, salt).then(url => {
+      const out = Object.assign({}, record, { url, urlPrivacy: effective });
+      if (effective !== 'full') out.title = null;
+      return out;
+    });
+  }
+
+  function newSalt() {
+    const bytes = new Uint8Array(16);
+    root.crypto.getRandomValues(bytes);
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  root.GreenPrivacy = { MODES, LABELS, rank, stricter, stripUrl, patternUrl, originUrl, hashUrl, applyToUrl, sanitize, newSalt };
+})(typeof self !== 'undefined' ? self : this);
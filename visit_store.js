@@ -0,0 +1,216 @@
+// visit_store.js
+// IndexedDB-backed visit storage, loaded by service_worker.js with importScripts().
+// Visits are keyed by id and indexed by ts, origin, day and [origin, ts] so range queries
+// (dashboard filters, per-origin alert sums) don't have to scan the whole history.
+
+(function (root) {
+  const DB_NAME = 'green-browsing-tracker';
+  const DB_VERSION = 1;
+  const STORE = 'visits';
+  const MAX_VISITS = 10000;
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'id' });
+          store.createIndex('ts', 'ts');
+          store.createIndex('origin', 'origin');
+          store.createIndex('day', 'day');
+          store.createIndex('origin_ts', ['origin', 'ts']);
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+    return dbPromise;
+  }
+
+  function promisify(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function txDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
+    });
+  }
+
+  // Accepts ISO strings, epoch ms or Date; returns an ISO string (ts is stored as ISO).
+  function toIso(v) {
+    if (v == null || v === '') return null;
+    const d = (typeof v === 'number' || v instanceof Date) ? new Date(v) : new Date(String(v));
+    return Number.isNaN(d.getTime()) ? null : d.toISOString();
+  }
+
+  function dayOf(ts) {
+    const iso = toIso(ts);
+    return iso ? iso.slice(0, 10) : null;
+  }
+
+  function normalize(record) {
+    const r = Object.assign({}, record);
+    r.ts = toIso(r.ts) || new Date().toISOString();
+    r.day = dayOf(r.ts);
+    r.origin = r.origin || 'unknown';
+    return r;
+  }
+
+  /**
+   * Insert records, skipping ids that already exist.
+   * Returns the normalized records that were actually inserted.
+   */
+  async function putMany(records) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const inserted = [];
+    await Promise.all(records.map(async (rec) => {
+      const r = normalize(rec);
+      const existing = await promisify(store.getKey(r.id));
+      if (existing !== undefined) return;
+      store.add(r);
+      inserted.push(r);
+    }));
+    await txDone(tx);
+    return inserted;
+  }
+
+  async function put(record) {
+    const inserted = await putMany([record]);
+    return inserted[0] || null;
+  }
+
+  function rangeFor(opts) {
+    const from = toIso(opts.from);
+    const to = toIso(opts.to);
+    if (opts.origin) {
+      return {
+        index: 'origin_ts',
+        range: IDBKeyRange.bound([opts.origin, from || ''], [opts.origin, to || '￿'])
+      };
+    }
+    if (from && to) return { index: 'ts', range: IDBKeyRange.bound(from, to) };
+    if (from) return { index: 'ts', range: IDBKeyRange.lowerBound(from) };
+    if (to) return { index: 'ts', range: IDBKeyRange.upperBound(to) };
+    return { index: 'ts', range: null };
+  }
+
+  /**
+   * Query visits ordered by ts.
+   * opts: { from, to, origin, limit, reverse } — from/to are inclusive ISO strings or epoch ms.
+   */
+  async function query(opts = {}) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readonly');
+    const { index, range } = rangeFor(opts);
+    const idx = tx.objectStore(STORE).index(index);
+    const limit = Number(opts.limit) > 0 ? Number(opts.limit) : Infinity;
+    if (!opts.reverse) {
+      return promisify(limit === Infinity ? idx.getAll(range) : idx.getAll(range, limit));
+    }
+    return new Promise((resolve, reject) => {
+      const out = [];
+      const req = idx.openCursor(range, 'prev');
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor || out.length >= limit) return resolve(out);
+        out.push(cursor.value);
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // Totals for a range without materialising the records for the caller.
+  async function sum(opts = {}) {
+    const rows = await query(opts);
+    return rows.reduce((acc, v) => {
+      acc.visits += 1;
+      acc.bytes += Number(v.transferBytes || 0);
+      acc.co2 += Number(v.estimatedCO2_g || 0);
+      return acc;
+    }, { visits: 0, bytes: 0, co2: 0 });
+  }
+
+  async function findByTs(ts) {
+    const db = await openDb();
+    const iso = toIso(ts);
+    if (!iso) return [];
+    return promisify(db.transaction(STORE, 'readonly').objectStore(STORE).index('ts').getAll(iso));
+  }
+
+  async function count() {
+    const db = await openDb();
+    return promisify(db.transaction(STORE, 'readonly').objectStore(STORE).count());
+  }
+
+  async function clear() {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).clear();
+    return txDone(tx);
+  }
+
+  /**
+   * Read-modify-write of one visit in a single transaction. `fn` gets the stored record and
+   * returns the replacement, or null to leave it as is. Resolves to the replacement (null if
+   * the visit doesn't exist or fn declined).
+   */
+  async function update(id, fn) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const current = await promisify(store.get(id));
+    const next = current ? fn(current) : null;
+    if (next) store.put(normalize(next));
+    await txDone(tx);
+    return next ? normalize(next) : null;
+  }
+
+  // Delete visits by id; returns how many existed.
+  async function remove(ids) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    let removed = 0;
+    await Promise.all(ids.map(async (id) => {
+      if ((await promisify(store.getKey(id))) === undefined) return;
+      store.delete(id);
+      removed += 1;
+    }));
+    await txDone(tx);
+    return removed;
+  }
+
+  // Delete the oldest visits beyond `max`; aggregates keep their totals, as before.
+  async function trim(max = MAX_VISITS) {
+    const excess = (await count()) - max;
+    if (excess <= 0) return 0;
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    const req = tx.objectStore(STORE).index('ts').openCursor();
+    let removed = 0;
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || removed >= excess) return;
+      cursor.delete();
+      removed += 1;
+      cursor.continue();
+    };
+    await txDone(tx);
+    return removed;
+  }
+
+  root.VisitStore = { MAX_VISITS, dayOf, put, putMany, query, sum, findByTs, count, clear, update, remove, trim };
+})(self);